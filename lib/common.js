@@ -22,3 +22,37 @@ exports.YEAR = 365 * exports.DAY;
 exports.floorTime = (time, interval) => {
   return time - (time % interval);
 };
+
+const DURATION_UNITS = {
+  ms: 1,
+  s: exports.SECOND,
+  m: exports.MINUTE,
+  h: exports.HOUR,
+  d: exports.DAY,
+  w: exports.WEEK,
+  y: exports.YEAR
+};
+
+/**
+ * Parse duration like `90m`, `30d` or `2y`, plain numbers are ms.
+ * @param {String|Number} value
+ * @returns {Number}
+ */
+
+exports.parseDuration = (value) => {
+  if (typeof value === 'number') {
+    if (!Number.isSafeInteger(value) || value < 0)
+      throw new Error(`Invalid duration: ${value}.`);
+
+    return value;
+  }
+
+  const match = /^(\d+)(ms|s|m|h|d|w|y)?$/.exec(String(value).trim());
+
+  if (!match)
+    throw new Error(`Invalid duration: ${value}.`);
+
+  const unit = DURATION_UNITS[match[2] || 'ms'];
+
+  return Number(match[1]) * unit;
+};
@@ -1,5 +1,5 @@
 /*!
- * bincommon.js - Common utilities for json writer and json reader.
+ * bincommon.js - Common utilities for binary writers and readers.
  * Copyright (c) 2024, Nodari Chkuaselidze (MIT License)
  */
 
@@ -8,12 +8,14 @@
 const binet = require('binet');
 const bufio = require('bufio');
 
-const {error2code, code2error} = require('./common');
+const codecs = require('./codecs');
+const {code2error} = require('./common');
+const pkg = require('../../package.json');
 
 const common = exports;
 
 common.FILE_FORMAT = 'event-%d.bin1%s';
-common.FILE_REGEX = /^event-(?<ts>\d+)\.bin1(?<gz>\.gz)?$/;
+common.FILE_REGEX = codecs.fileRegex('event-(?<ts>\\d+)\\.bin1');
 common.STORE_NAME = 'events';
 common.EXT = 'bin1';
 
@@ -28,9 +30,251 @@ common.ZERO_KEY = Buffer.alloc(33, 0x00);
 
 common.PacketTypes = {
   CONFIG: 0,
-  ENTRY: 1
+  ENTRY: 1,
+  DNS_ENTRY: 2,
+  HEADER: 3,
+  ERROR_TABLE: 4
 };
 
+/*
+ * Format versions:
+ *  0 - Files without the HEADER packet.
+ *  1 - HEADER packet at the start of the file, first entry
+ *      time is relative to the header timestamp.
+ *  2 - Error codes are varints defined by the ERROR_TABLE packets
+ *      in the file, instead of the fixed ERRORS codes.
+ */
+
+common.FORMAT_VERSION = 2;
+common.HEADER_MAGIC = 0x6e687331; // nhs1
+common.WRITER_VERSION = pkg.version;
+
+// Agent and hostname have the u8 size prefix.
+common.MAX_STRING_SIZE = 0xff;
+
+/**
+ * Truncate the string to the max size in bytes,
+ * without splitting the UTF-8 characters.
+ * @param {String} str
+ * @param {Number} [max=MAX_STRING_SIZE]
+ * @returns {String}
+ */
+
+common.truncateString = function truncateString(str, max) {
+  if (max == null)
+    max = common.MAX_STRING_SIZE;
+
+  const data = Buffer.from(str, 'utf8');
+
+  if (data.length <= max)
+    return str;
+
+  let end = max;
+
+  // Back to the start of the character, skipping continuation bytes.
+  while (end > 0 && (data[end] & 0xc0) === 0x80)
+    end--;
+
+  return data.toString('utf8', 0, end);
+};
+
+/**
+ * Get size of the packet at the offset.
+ * @param {Buffer} data
+ * @param {Number} offset
+ * @returns {Number} - -1 if the packet size is not available yet.
+ */
+
+common.getPacketSize = function getPacketSize(data, offset) {
+  const left = data.length - offset;
+
+  if (left < 1)
+    return -1;
+
+  const type = data[offset];
+
+  switch (type) {
+    case common.PacketTypes.CONFIG:
+      return 1 + 16;
+    case common.PacketTypes.ENTRY:
+    case common.PacketTypes.DNS_ENTRY:
+    case common.PacketTypes.HEADER:
+    case common.PacketTypes.ERROR_TABLE:
+      if (left < 3)
+        return -1;
+
+      return 3 + data.readUInt16LE(offset + 1);
+    default:
+      throw new Error(`Unknown packet type: ${type}`);
+  }
+};
+
+class FileHeader extends bufio.Struct {
+  constructor() {
+    super();
+    this.magic = common.HEADER_MAGIC;
+    this.version = common.FORMAT_VERSION;
+    this.network = 'main';
+    this.writerVersion = common.WRITER_VERSION;
+    this.timestamp = 0;
+  }
+
+  fromOptions(options) {
+    if (options.version != null)
+      this.version = options.version;
+
+    if (options.network != null)
+      this.network = options.network;
+
+    if (options.writerVersion != null)
+      this.writerVersion = options.writerVersion;
+
+    this.timestamp = options.timestamp;
+    return this;
+  }
+
+  toJSON() {
+    return {
+      version: this.version,
+      network: this.network,
+      writerVersion: this.writerVersion,
+      timestamp: this.timestamp
+    };
+  }
+
+  write(bw) {
+    bw.writeU32(this.magic);
+    bw.writeU8(this.version);
+    bw.writeVarString(this.network, 'ascii');
+    bw.writeVarString(this.writerVersion, 'ascii');
+    bw.writeU64(this.timestamp);
+    return this;
+  }
+
+  read(br) {
+    this.magic = br.readU32();
+
+    if (this.magic !== common.HEADER_MAGIC)
+      throw new Error(`Invalid header magic: ${this.magic.toString(16)}.`);
+
+    this.version = br.readU8();
+    this.network = br.readVarString('ascii');
+    this.writerVersion = br.readVarString('ascii');
+    this.timestamp = br.readU64();
+    return this;
+  }
+
+  size() {
+    let size = 0;
+    size += 4 + 1;
+    size += bufio.sizeVarString(this.network, 'ascii');
+    size += bufio.sizeVarString(this.writerVersion, 'ascii');
+    size += 8;
+    return size;
+  }
+}
+
+/**
+ * Error table packet, defines codes for the error messages
+ * used by the following entries in the file.
+ */
+
+class ErrorTable extends bufio.Struct {
+  constructor() {
+    super();
+    /** @type {Map<Number, String>} */
+    this.errors = new Map();
+  }
+
+  /**
+   * @param {Number} code
+   * @param {String} message
+   * @returns {this}
+   */
+
+  set(code, message) {
+    this.errors.set(code, message);
+    return this;
+  }
+
+  /**
+   * @param {Number} code
+   * @returns {String}
+   */
+
+  get(code) {
+    const message = this.errors.get(code);
+
+    if (message == null)
+      throw new Error(`Unknown error code: ${code}.`);
+
+    return message;
+  }
+
+  /**
+   * Merge definitions of the other table.
+   * @param {ErrorTable} table
+   * @returns {this}
+   */
+
+  merge(table) {
+    for (const [code, message] of table.errors)
+      this.errors.set(code, message);
+
+    return this;
+  }
+
+  clear() {
+    this.errors.clear();
+    return this;
+  }
+
+  toJSON() {
+    return Object.fromEntries(this.errors);
+  }
+
+  fromJSON(json) {
+    for (const [code, message] of Object.entries(json))
+      this.errors.set(Number(code), message);
+
+    return this;
+  }
+
+  write(bw) {
+    bw.writeVarint2(this.errors.size);
+
+    for (const [code, message] of this.errors) {
+      bw.writeVarint2(code);
+      bw.writeVarString(message, 'utf8');
+    }
+
+    return this;
+  }
+
+  read(br) {
+    const count = br.readVarint2();
+
+    for (let i = 0; i < count; i++) {
+      const code = br.readVarint2();
+      const message = br.readVarString('utf8');
+      this.errors.set(code, message);
+    }
+
+    return this;
+  }
+
+  size() {
+    let size = bufio.sizeVarint2(this.errors.size);
+
+    for (const [code, message] of this.errors) {
+      size += bufio.sizeVarint2(code);
+      size += bufio.sizeVarString(message, 'utf8');
+    }
+
+    return size;
+  }
+}
+
 class ConfigEntry extends bufio.Struct {
   constructor() {
     super();
@@ -86,7 +330,7 @@ class Result extends bufio.Struct {
     this.peerVersion = json.peer.version;
     this.services = json.peer.services;
     this.height = json.peer.height;
-    this.agent = json.peer.agent;
+    this.agent = common.truncateString(json.peer.agent);
     this.noRelay = json.peer.noRelay;
     this.brontide = json.peer.brontide;
 
@@ -116,8 +360,8 @@ class Result extends bufio.Struct {
     bw.writeVarint2(this.peerVersion);
     bw.writeVarint2(this.services);
     bw.writeVarint2(this.height);
-    bw.writeU8(this.agent.length);
-    bw.writeString(this.agent, 'ascii');
+    bw.writeU8(Buffer.byteLength(this.agent, 'utf8'));
+    bw.writeString(this.agent, 'utf8');
 
     let details = 0;
 
@@ -143,7 +387,7 @@ class Result extends bufio.Struct {
     this.services = br.readVarint2();
     this.height = br.readVarint2();
     const agentSize = br.readU8();
-    this.agent = br.readString(agentSize, 'ascii');
+    this.agent = br.readString(agentSize, 'utf8');
 
     const details = br.readU8();
 
@@ -160,7 +404,7 @@ class Result extends bufio.Struct {
     size += bufio.sizeVarint2(this.peerVersion);
     size += bufio.sizeVarint2(this.services);
     size += bufio.sizeVarint2(this.height);
-    size += this.agent.length;
+    size += Buffer.byteLength(this.agent, 'utf8');
     size += 2;
     return size;
   }
@@ -198,14 +442,6 @@ class Entry extends bufio.Struct {
     this.key = Buffer.from(json.key, 'hex');
     this.error = json.error;
 
-    if (this.error) {
-      try {
-        this.errorCode = error2code(this.error);
-      } catch (e) {
-        console.error(e);
-      }
-    }
-
     if (json.result)
       this.result = new Result().fromJSON(json.result);
 
@@ -238,7 +474,7 @@ class Entry extends bufio.Struct {
     if (this.error)
       details |= 4;
 
-    if (this.error && this.errorCode)
+    if (this.error && this.errorCode != null)
       details |= 8;
 
     const timeDiff = logTimestamp - this.time;
@@ -256,12 +492,12 @@ class Entry extends bufio.Struct {
     if (this.hasKey)
       bw.writeBytes(this.key);
 
-    if (this.error && !this.errorCode) {
+    if (this.error && this.errorCode == null) {
       const buffer = Buffer.from(this.error, 'utf8');
       bw.writeVarint2(buffer.length);
       bw.writeBytes(buffer);
-    } else if (this.error && this.errorCode) {
-      bw.writeU8(this.errorCode);
+    } else if (this.error) {
+      bw.writeVarint2(this.errorCode);
     }
 
     if (this.result)
@@ -270,7 +506,15 @@ class Entry extends bufio.Struct {
     return this;
   }
 
-  read(br, logTimestamp) {
+  /**
+   * @param {bufio.BufferReader} br
+   * @param {Number} logTimestamp
+   * @param {ErrorTable} [errors] - error table of the file,
+   *   files before version 2 use fixed u8 error codes.
+   * @returns {this}
+   */
+
+  read(br, logTimestamp, errors) {
     this.time = logTimestamp - br.readVarint2();
 
     const details = br.readU8();
@@ -293,14 +537,12 @@ class Entry extends bufio.Struct {
     if (hasError && !hasErrorCode) {
       const size = br.readVarint2();
       this.error = br.readString(size, 'utf8');
-    } else if (hasError && hasErrorCode) {
+    } else if (hasError && errors) {
+      this.errorCode = br.readVarint2();
+      this.error = errors.get(this.errorCode);
+    } else if (hasError) {
       this.errorCode = br.readU8();
-      try {
-        this.error = code2error(this.errorCode);
-      } catch (e) {
-        console.log(logTimestamp, this);
-        throw e;
-      }
+      this.error = code2error(this.errorCode);
     }
 
     if (!hasError) {
@@ -327,12 +569,12 @@ class Entry extends bufio.Struct {
     if (this.hasKey)
       size += 33;
 
-    if (this.error && !this.errorCode) {
+    if (this.error && this.errorCode == null) {
       const bufLen = Buffer.byteLength(this.error, 'utf8');
       size += bufio.sizeVarint2(bufLen);
       size += bufLen;
-    } else if (this.error && this.errorCode) {
-      size += 1;
+    } else if (this.error) {
+      size += bufio.sizeVarint2(this.errorCode);
     }
 
     if (this.result)
@@ -342,6 +584,100 @@ class Entry extends bufio.Struct {
   }
 }
 
+class DNSLogEntry extends bufio.Struct {
+  constructor() {
+    super();
+
+    this.time = 0;
+    this.hostname = '';
+    this.error = null;
+    this.result = null;
+  }
+
+  fromJSON(json) {
+    this.time = json.time;
+    this.hostname = common.truncateString(json.hostname);
+    this.error = json.error;
+    this.result = json.result;
+
+    // Same as DNSEntry, non-string errors are indexed by their code.
+    if (this.error && typeof this.error !== 'string')
+      this.error = this.error.code || 'unknown error.';
+
+    return this;
+  }
+
+  toJSON(config) {
+    return {
+      time: this.time,
+      hostname: this.hostname,
+      error: this.error,
+      result: this.result,
+      frequency: config.frequency,
+      interval: config.interval
+    };
+  }
+
+  write(bw, logTimestamp) {
+    let details = 0;
+
+    if (this.result != null)
+      details |= 1;
+
+    if (this.error != null)
+      details |= 2;
+
+    bw.writeVarint2(logTimestamp - this.time);
+    bw.writeU8(details);
+    bw.writeU8(Buffer.byteLength(this.hostname, 'utf8'));
+    bw.writeString(this.hostname, 'utf8');
+
+    if (this.result != null)
+      bw.writeVarString(this.result, 'utf8');
+
+    if (this.error != null)
+      bw.writeVarString(this.error, 'utf8');
+
+    return this;
+  }
+
+  read(br, logTimestamp) {
+    this.time = logTimestamp - br.readVarint2();
+
+    const details = br.readU8();
+    const hostnameSize = br.readU8();
+
+    this.hostname = br.readString(hostnameSize, 'utf8');
+
+    if (details & 1)
+      this.result = br.readVarString('utf8');
+
+    if (details & 2)
+      this.error = br.readVarString('utf8');
+
+    return this;
+  }
+
+  size(logTimestamp) {
+    let size = 0;
+
+    size += bufio.sizeVarint2(logTimestamp - this.time);
+    size += 1;
+    size += 1 + Buffer.byteLength(this.hostname, 'utf8');
+
+    if (this.result != null)
+      size += bufio.sizeVarString(this.result, 'utf8');
+
+    if (this.error != null)
+      size += bufio.sizeVarString(this.error, 'utf8');
+
+    return size;
+  }
+}
+
+common.FileHeader = FileHeader;
+common.ErrorTable = ErrorTable;
 common.ConfigEntry = ConfigEntry;
 common.Result = Result;
 common.Entry = Entry;
+common.DNSLogEntry = DNSLogEntry;
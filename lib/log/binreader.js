@@ -0,0 +1,275 @@
+/*!
+ * binreader.js - Read binary log files event by event.
+ * Copyright (c) 2024, Nodari Chkuaselidze (MIT License)
+ * https://github.com/nodech/hsd-nethealth-status
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const bufio = require('bufio');
+const Reader = require('./reader');
+const {StoreOptions} = require('./common');
+const {
+  fileOptions,
+  PacketTypes,
+  FORMAT_VERSION,
+  FileHeader,
+  ErrorTable,
+  ConfigEntry
+} = require('./bincommon');
+
+const YEARS_20_MS = 631152000000;
+
+/**
+ * Binary reader, decodes CONFIG packets and entries
+ * of the single entry packet type.
+ */
+
+class BinReader extends Reader {
+  /**
+   * @param {Object} options
+   * @param {Number} packetType - entry packet type.
+   * @param {Function} Entry - entry packet struct.
+   */
+
+  constructor(options, packetType, Entry) {
+    super(new StoreOptions(options), fileOptions);
+
+    assert(typeof packetType === 'number');
+    assert(typeof Entry === 'function');
+
+    this.packetType = packetType;
+    this.Entry = Entry;
+
+    // Header of the current file, null for version 0 files.
+    this.header = null;
+
+    // Error codes defined in the current file.
+    this.errors = new ErrorTable();
+
+    // Entry timestamps are relative to the previous one.
+    this.lastTimestamp = 0;
+    this.lastConfig = null;
+    // Timestamp the last entry was relative to.
+    this.entryBase = 0;
+  }
+
+  async openFile(file, offset = 0, state = null) {
+    await super.openFile(file, offset, state);
+
+    // Version 0 files may continue from the previous file,
+    // so the timestamp and the config are not reset.
+    if (offset === 0) {
+      this.header = null;
+      this.errors.clear();
+    }
+
+    if (state) {
+      this.header = state.header ? FileHeader.fromOptions(state.header) : null;
+      this.errors.clear().fromJSON(state.errors);
+      this.lastTimestamp = state.timestamp;
+      this.lastConfig = ConfigEntry.fromJSON(state.config);
+    }
+  }
+
+  /**
+   * Version 0 files depend on the previous files.
+   * @returns {Boolean}
+   */
+
+  get seekable() {
+    return this.version > 0;
+  }
+
+  /**
+   * Get the state to decode the packets of the
+   * file from the last entry.
+   * @returns {Object}
+   */
+
+  getFileState() {
+    return {
+      header: this.header ? this.header.toJSON() : null,
+      errors: this.errors.toJSON()
+    };
+  }
+
+  /**
+   * @returns {Object}
+   */
+
+  getEntryState() {
+    return {
+      timestamp: this.entryBase,
+      config: this.lastConfig.toJSON()
+    };
+  }
+
+  /**
+   * Get format version of the current file.
+   * @returns {Number}
+   */
+
+  get version() {
+    return this.header ? this.header.version : 0;
+  }
+
+  async *[Symbol.asyncIterator]() {
+    if (!this.stream)
+      return;
+
+    let hasNext;
+
+    do {
+      hasNext = false;
+
+      let left = Buffer.alloc(0);
+      for await (const data of this.stream) {
+        if (data.length === 0)
+          continue;
+
+        const buf = Buffer.concat([left, data]);
+        const br = bufio.read(buf, true);
+
+        try {
+          chunk: while (br.left() > 0) {
+            const offset = br.offset;
+            const type = br.readU8();
+
+            switch (type) {
+              case PacketTypes.HEADER: {
+                if (br.left() < 2) {
+                  br.offset = offset;
+                  break chunk;
+                }
+
+                const size = br.readU16();
+
+                if (br.left() < size) {
+                  br.offset = offset;
+                  break chunk;
+                }
+
+                if (this.offset !== 0) {
+                  throw new Error('Header is not at the start of the file: '
+                    + this.file.filename);
+                }
+
+                // Newer versions may append fields to the header.
+                const header = FileHeader.decode(br.readBytes(size, true));
+
+                if (header.version > FORMAT_VERSION) {
+                  throw new Error(`Unsupported format version ${header.version}`
+                    + ` (max ${FORMAT_VERSION}): ${this.file.filename}`);
+                }
+
+                this.header = header;
+                this.lastTimestamp = header.timestamp;
+                this.offset += br.offset - offset;
+                this.emit('header', header, this.file.filename);
+                break;
+              }
+
+              case PacketTypes.ERROR_TABLE: {
+                if (br.left() < 2) {
+                  br.offset = offset;
+                  break chunk;
+                }
+
+                const size = br.readU16();
+
+                if (br.left() < size) {
+                  br.offset = offset;
+                  break chunk;
+                }
+
+                const table = ErrorTable.decode(br.readBytes(size, true));
+                this.errors.merge(table);
+                this.offset += br.offset - offset;
+                break;
+              }
+
+              case PacketTypes.CONFIG: {
+                if (br.left() < 16) {
+                  br.offset = offset;
+                  break chunk;
+                }
+
+                this.lastConfig = ConfigEntry.read(br);
+                this.offset += br.offset - offset;
+                break;
+              }
+
+              case this.packetType: {
+                if (br.left() < 2) {
+                  br.offset = offset;
+                  break chunk;
+                }
+
+                const size = br.readU16();
+
+                if (br.left() < size) {
+                  br.offset = offset;
+                  break chunk;
+                }
+
+                const time = br.readVarint2();
+
+                this.entryOffset = this.offset;
+                this.entryBase = this.lastTimestamp;
+
+                // Version 0 files start with the absolute timestamp.
+                if (this.version === 0 && time > YEARS_20_MS)
+                  this.lastTimestamp = time;
+                else
+                  this.lastTimestamp += time;
+
+                const {lastTimestamp} = this;
+                const errors = this.version >= 2 ? this.errors : null;
+                const entry = new this.Entry().read(br, lastTimestamp, errors);
+
+                this.offset += br.offset - offset;
+
+                if (lastTimestamp < this.lastReadTimestamp)
+                  break;
+
+                this.tick(lastTimestamp);
+
+                yield {
+                  logTimestamp: lastTimestamp,
+                  info: entry.toJSON(this.lastConfig)
+                };
+                break;
+              }
+              default: {
+                throw new Error(`Unknown packet type: ${type}`);
+              }
+            }
+          }
+        } catch (e) {
+          // Packets after the corrupt one can not be framed.
+          this.corrupt(e, this.offset);
+          this.skipping = true;
+          break;
+        }
+
+        left = buf.slice(br.offset);
+      }
+
+      // In follow mode, the rest of the packet may not be written yet.
+      if (left.length > 0 && !this.options.follow && !this.skipping) {
+        this.corrupt(new Error(`Truncated packet: ${this.file.filename}`),
+          this.offset);
+      }
+
+      hasNext = await this.next();
+    } while (hasNext);
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = BinReader;
@@ -0,0 +1,286 @@
+/*!
+ * binwriter.js - Log events into binary files.
+ * This is stateful implementation of a logger.
+ * Copyright (c) 2024, Nodari Chkuaselidze (MIT License)
+ * https://github.com/nodech/hsd-nethealth-status
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const bufio = require('bufio');
+const Writer = require('./writer');
+const BinReader = require('./binreader');
+const {StoreOptions} = require('./common');
+const {openReadStream} = require('./utils');
+
+const {
+  fileOptions,
+  PacketTypes,
+  getPacketSize,
+  FileHeader,
+  ErrorTable,
+  ConfigEntry
+} = require('./bincommon');
+
+/**
+ * Binary writer. Every file starts with the HEADER and the CONFIG
+ * packets, entry timestamps are relative to the previous entry
+ * in the file or to the header timestamp. Error messages get
+ * codes in the order they appear in the file, each new code
+ * is defined by the ERROR_TABLE packet before the entry.
+ */
+
+class BinWriter extends Writer {
+  /**
+   * @param {Object} options
+   * @param {Number} packetType - entry packet type.
+   * @param {Function} Entry - entry packet struct.
+   */
+
+  constructor(options, packetType, Entry) {
+    super(new StoreOptions(options), fileOptions);
+
+    assert(typeof packetType === 'number');
+    assert(typeof Entry === 'function');
+
+    this.packetType = packetType;
+    this.Entry = Entry;
+
+    // State
+    this.header = null;
+    this.lastTimestamp = null;
+    this.lastConfig = null;
+    /** @type {Map<String, Number>} */
+    this.errorCodes = new Map();
+  }
+
+  _onRotate() {
+    // Following writes go to the next file, which must
+    // be decodable on its own.
+    this.reset();
+  }
+
+  _onClose() {
+    if (!this.rotating)
+      this.reset();
+  }
+
+  /**
+   * @private
+   * @returns {BinReader}
+   */
+
+  _createReader() {
+    return new BinReader(this.getReaderOptions(), this.packetType, this.Entry);
+  }
+
+  /**
+   * Size of the complete packets in the file.
+   * @private
+   * @param {String} file
+   * @param {Number} size
+   * @returns {Promise<Number>}
+   */
+
+  async _getValidSize(file, size) {
+    const stream = await openReadStream(file, { end: size - 1 });
+
+    let valid = 0;
+    let left = Buffer.alloc(0);
+
+    try {
+      for await (const data of stream) {
+        const buf = Buffer.concat([left, data]);
+        let offset = 0;
+
+        for (;;) {
+          const packetSize = getPacketSize(buf, offset);
+
+          if (packetSize === -1 || offset + packetSize > buf.length)
+            break;
+
+          offset += packetSize;
+          valid += packetSize;
+        }
+
+        left = buf.slice(offset);
+      }
+    } catch (e) {
+      // Garbage after the last packet.
+      if (e.message.startsWith('Unknown packet type'))
+        return valid;
+
+      throw e;
+    } finally {
+      stream.destroy();
+    }
+
+    return valid;
+  }
+
+  reset() {
+    this.header = null;
+    this.lastTimestamp = null;
+    this.lastConfig = null;
+    this.errorCodes.clear();
+  }
+
+  /**
+   * Write log entry.
+   * @param {Number} timestamp
+   * @param {Object} entry - entry json.
+   * @returns {Boolean} - false - if we can't write nor buffer.
+   */
+
+  writeLog(timestamp, entry) {
+    return this.write(entry, timestamp);
+  }
+
+  /**
+   * Write log entry, with the config if it has changed.
+   * @private
+   * @param {Object} entry - entry json.
+   * @param {Number} timestamp
+   * @returns {Object}
+   */
+
+  _write(entry, timestamp) {
+    if (this.header == null)
+      this.writeHeader(timestamp);
+
+    if (this.configChanged(entry)) {
+      this.writeConfig({
+        frequency: entry.frequency,
+        interval: entry.interval
+      });
+    }
+
+    return this.writeEntry(timestamp, entry);
+  }
+
+  /**
+   * @param {Object} entry - entry json.
+   * @returns {Boolean}
+   */
+
+  configChanged(entry) {
+    if (this.lastConfig == null)
+      return true;
+
+    return this.lastConfig.frequency !== entry.frequency
+      || this.lastConfig.interval !== entry.interval;
+  }
+
+  /**
+   * Write file header.
+   * @param {Number} timestamp - base timestamp for the file.
+   */
+
+  writeHeader(timestamp) {
+    const header = FileHeader.fromOptions({
+      network: this.options.network,
+      timestamp
+    });
+
+    const size = header.size();
+    const packet = bufio.write(3 + size);
+    packet.writeU8(PacketTypes.HEADER);
+    packet.writeU16(size);
+    header.write(packet);
+    this.writeData(packet.render());
+
+    this.header = header;
+    this.lastTimestamp = timestamp;
+  }
+
+  writeConfig(options) {
+    const config = ConfigEntry.fromJSON(options);
+    const packet = bufio.write(1 + config.size());
+    packet.writeU8(PacketTypes.CONFIG);
+    config.write(packet);
+    this.writeData(packet.render());
+    this.lastConfig = config;
+  }
+
+  /**
+   * Get the code for the error message, defining it
+   * in the file if it is new.
+   * @param {String} message
+   * @returns {Number?} - null if message does not fit in the packet.
+   */
+
+  getErrorCode(message) {
+    const cached = this.errorCodes.get(message);
+
+    if (cached != null)
+      return cached;
+
+    const code = this.errorCodes.size;
+    const table = new ErrorTable().set(code, message);
+    const size = table.size();
+
+    if (size > 0xffff)
+      return null;
+
+    const packet = bufio.write(3 + size);
+    packet.writeU8(PacketTypes.ERROR_TABLE);
+    packet.writeU16(size);
+    table.write(packet);
+    this.writeData(packet.render());
+
+    this.errorCodes.set(message, code);
+    return code;
+  }
+
+  /**
+   * @param {Number} timestamp
+   * @param {Object} entryJSON
+   * @returns {Object} - log json with the clamped timestamp
+   *   and the truncated strings.
+   */
+
+  writeEntry(timestamp, entryJSON) {
+    assert(this.lastTimestamp != null, 'Header was not written.');
+
+    // Clock went backwards, deltas can not be negative.
+    if (timestamp < this.lastTimestamp)
+      timestamp = this.lastTimestamp;
+
+    const writeTime = timestamp - this.lastTimestamp;
+    const entry = new this.Entry();
+    entry.fromJSON(entryJSON);
+
+    // Only node entries encode errors by code.
+    if (entry.error && 'errorCode' in entry)
+      entry.errorCode = this.getErrorCode(entry.error);
+
+    const timeSize = bufio.sizeVarint2(writeTime);
+    const entrySize = entry.size(timestamp);
+
+    if (timeSize + entrySize > 0xffff)
+      throw new Error(`Entry is too large: ${timeSize + entrySize} bytes.`);
+
+    const packet = bufio.write(3 + timeSize + entrySize);
+
+    packet.writeU8(this.packetType);
+    packet.writeU16(timeSize + entrySize);
+    packet.writeVarint2(writeTime);
+    entry.write(packet, timestamp);
+
+    // Following deltas are relative to the encoded entries only.
+    this.lastTimestamp = timestamp;
+    this.writeData(packet.render());
+
+    return {
+      logTimestamp: timestamp,
+      info: entry.toJSON(this.lastConfig)
+    };
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = BinWriter;
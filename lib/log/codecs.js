@@ -0,0 +1,160 @@
+/*!
+ * codecs.js - Compression codecs for rotated files.
+ * Copyright (c) 2024, Nodari Chkuaselidze (MIT License)
+ * https://github.com/nodech/hsd-nethealth-status
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const zlib = require('node:zlib');
+
+/** @typedef {import('node:stream').Transform} Transform */
+
+const codecs = exports;
+
+/**
+ * Compression codec, ext is recorded in the file name.
+ */
+
+class Codec {
+  /**
+   * @param {Object} options
+   * @param {String} options.name
+   * @param {String} options.ext
+   * @param {Number} options.minLevel
+   * @param {Number} options.maxLevel
+   * @param {Function} options.compress
+   * @param {Function} options.decompress
+   */
+
+  constructor(options) {
+    this.name = options.name;
+    this.ext = options.ext;
+    this.minLevel = options.minLevel;
+    this.maxLevel = options.maxLevel;
+    this._compress = options.compress;
+    this._decompress = options.decompress;
+  }
+
+  /**
+   * @param {Number?} level - null for the default level.
+   */
+
+  checkLevel(level) {
+    if (level == null)
+      return;
+
+    assert(Number.isSafeInteger(level));
+    assert(level >= this.minLevel && level <= this.maxLevel,
+      `Invalid ${this.name} level: ${level}.`);
+  }
+
+  /**
+   * @param {Number?} level - null for the default level.
+   * @returns {Transform}
+   */
+
+  compress(level) {
+    this.checkLevel(level);
+    return this._compress(level);
+  }
+
+  /**
+   * @returns {Transform}
+   */
+
+  decompress() {
+    return this._decompress();
+  }
+}
+
+codecs.GZIP = 'gzip';
+codecs.BROTLI = 'brotli';
+
+/** @type {Object<String, Codec>} */
+codecs.codecs = {
+  [codecs.GZIP]: new Codec({
+    name: codecs.GZIP,
+    ext: 'gz',
+    minLevel: zlib.constants.Z_MIN_LEVEL,
+    maxLevel: zlib.constants.Z_MAX_LEVEL,
+    compress: (level) => {
+      if (level == null)
+        return zlib.createGzip();
+
+      return zlib.createGzip({ level });
+    },
+    decompress: () => zlib.createGunzip()
+  }),
+  [codecs.BROTLI]: new Codec({
+    name: codecs.BROTLI,
+    ext: 'br',
+    minLevel: zlib.constants.BROTLI_MIN_QUALITY,
+    maxLevel: zlib.constants.BROTLI_MAX_QUALITY,
+    compress: (level) => {
+      if (level == null)
+        return zlib.createBrotliCompress();
+
+      return zlib.createBrotliCompress({
+        params: {
+          [zlib.constants.BROTLI_PARAM_QUALITY]: level
+        }
+      });
+    },
+    decompress: () => zlib.createBrotliDecompress()
+  })
+};
+
+/**
+ * Get codec by name.
+ * @param {String} name
+ * @returns {Codec}
+ */
+
+codecs.get = function get(name) {
+  const codec = codecs.codecs[name];
+
+  if (!codec)
+    throw new Error(`Unknown codec: ${name}.`);
+
+  return codec;
+};
+
+/**
+ * Get codec by file extension.
+ * @param {String} ext
+ * @returns {Codec}
+ */
+
+codecs.fromExt = function fromExt(ext) {
+  for (const codec of Object.values(codecs.codecs)) {
+    if (codec.ext === ext)
+      return codec;
+  }
+
+  throw new Error(`Unknown codec extension: ${ext}.`);
+};
+
+/**
+ * Get file extensions of the codecs.
+ * @returns {String[]}
+ */
+
+codecs.extensions = function extensions() {
+  return Object.values(codecs.codecs).map(codec => codec.ext);
+};
+
+/**
+ * Create the file name regex, with the optional
+ * extension of the compressed files.
+ * @param {String} prefix - name before the extension, regex source.
+ * @returns {RegExp}
+ */
+
+codecs.fileRegex = function fileRegex(prefix) {
+  const exts = codecs.extensions().join('|');
+  return new RegExp(`^${prefix}(?:\\.(?<ext>${exts}))?$`);
+};
+
+codecs.Codec = Codec;
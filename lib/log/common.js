@@ -11,18 +11,67 @@ const util = require('node:util');
 const assert = require('bsert');
 const bfs = require('bfile');
 const os = require('node:os');
+const codecs = require('./codecs');
 const {getFileSize} = require('./utils');
 
 const common = exports;
 
 common.STORE_NAME = 'events';
 
+/**
+ * Named rotation intervals, files are aligned to UTC boundaries.
+ */
+
+common.ROTATE_INTERVALS = {
+  none: 0,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+/**
+ * What writer does with the new entry, when the buffer is full.
+ */
+
+common.OVERFLOW = {
+  DROP_OLDEST: 'drop-oldest',
+  DROP_NEWEST: 'drop-newest',
+  // Write returns the promise, producer waits for the free space.
+  BLOCK: 'block'
+};
+
 class StoreOptions {
   constructor(options) {
     this.name = common.STORE_NAME;
     this.prefix = path.join(os.tmpdir(), 'hsd-nethealth', this.name);
     this.maxFileSize = 500 << 20; // 500MiB
+    // Compress rotated files with the compression codec.
     this.autoGzip = true;
+    this.compression = codecs.GZIP;
+    this.compressionLevel = null;
+    this.network = 'main';
+
+    // Writer options
+    this.rotateInterval = 0;
+    this.sync = false;
+    this.syncInterval = 1000;
+    // Entries waiting for the file or the drain.
+    this.maxBufferEntries = 10000;
+    this.overflow = common.OVERFLOW.DROP_OLDEST;
+    // Retry failed writes with the exponential backoff.
+    this.retryInterval = 1000;
+    this.maxRetryInterval = 60 * 1000;
+    // Give up after this many retries, 0 - never.
+    this.maxRetries = 0;
+
+    // Keep the store index of rotated files for seeking.
+    this.storeIndex = true;
+
+    // Reader options
+    this.follow = false;
+    this.pollInterval = 1000;
+    this.tolerant = false;
+    // Emit progress events in this interval, 0 - disabled.
+    this.progressInterval = 0;
 
     if (options)
       this.fromOptions(options);
@@ -51,6 +100,100 @@ class StoreOptions {
       this.autoGzip = options.autoGzip;
     }
 
+    if (options.compression != null) {
+      assert(typeof options.compression === 'string');
+      codecs.get(options.compression);
+      this.compression = options.compression;
+    }
+
+    if (options.compressionLevel != null) {
+      // Fail on start, not on the first rotation.
+      codecs.get(this.compression).checkLevel(options.compressionLevel);
+      this.compressionLevel = options.compressionLevel;
+    }
+
+    if (options.network != null) {
+      assert(typeof options.network === 'string');
+      this.network = options.network;
+    }
+
+    if (options.rotateInterval != null) {
+      let interval = options.rotateInterval;
+
+      if (typeof interval === 'string') {
+        assert(common.ROTATE_INTERVALS[interval] != null,
+          `Unknown rotate interval: ${interval}.`);
+        interval = common.ROTATE_INTERVALS[interval];
+      }
+
+      assert(Number.isSafeInteger(interval) && interval >= 0);
+      this.rotateInterval = interval;
+    }
+
+    if (options.sync != null) {
+      assert(typeof options.sync === 'boolean');
+      this.sync = options.sync;
+    }
+
+    if (options.syncInterval != null) {
+      assert((options.syncInterval >>> 0) === options.syncInterval);
+      assert(options.syncInterval > 0);
+      this.syncInterval = options.syncInterval;
+    }
+
+    if (options.maxBufferEntries != null) {
+      assert((options.maxBufferEntries >>> 0) === options.maxBufferEntries);
+      assert(options.maxBufferEntries > 0);
+      this.maxBufferEntries = options.maxBufferEntries;
+    }
+
+    if (options.overflow != null) {
+      assert(Object.values(common.OVERFLOW).includes(options.overflow),
+        `Unknown overflow policy: ${options.overflow}.`);
+      this.overflow = options.overflow;
+    }
+
+    if (options.retryInterval != null) {
+      assert((options.retryInterval >>> 0) === options.retryInterval);
+      assert(options.retryInterval > 0);
+      this.retryInterval = options.retryInterval;
+    }
+
+    if (options.maxRetryInterval != null) {
+      assert((options.maxRetryInterval >>> 0) === options.maxRetryInterval);
+      this.maxRetryInterval = options.maxRetryInterval;
+    }
+
+    if (options.maxRetries != null) {
+      assert((options.maxRetries >>> 0) === options.maxRetries);
+      this.maxRetries = options.maxRetries;
+    }
+
+    if (options.storeIndex != null) {
+      assert(typeof options.storeIndex === 'boolean');
+      this.storeIndex = options.storeIndex;
+    }
+
+    if (options.follow != null) {
+      assert(typeof options.follow === 'boolean');
+      this.follow = options.follow;
+    }
+
+    if (options.pollInterval != null) {
+      assert((options.pollInterval >>> 0) === options.pollInterval);
+      this.pollInterval = options.pollInterval;
+    }
+
+    if (options.progressInterval != null) {
+      assert((options.progressInterval >>> 0) === options.progressInterval);
+      this.progressInterval = options.progressInterval;
+    }
+
+    if (options.tolerant != null) {
+      assert(typeof options.tolerant === 'boolean');
+      this.tolerant = options.tolerant;
+    }
+
     return this;
   }
 }
@@ -60,10 +203,15 @@ class StoreFile {
     this.prefix = options.prefix || '';
     this.filename = options.name || '';
     this.size = options.size || 0;
-    this.gzipped = options.gzipped || false;
+    // Compression codec name, null if not compressed.
+    this.codec = options.codec || null;
     this.time = options.time || 0;
   }
 
+  get compressed() {
+    return this.codec != null;
+  }
+
   get path() {
     return path.join(this.prefix, this.filename);
   }
@@ -82,7 +230,7 @@ class StoreFile {
       prefix: prefix,
       name: filename,
       size: await getFileSize(full),
-      gzipped: match.groups.gz != null,
+      codec: match.groups.ext ? codecs.fromExt(match.groups.ext).name : null,
       time: Number(match.groups.ts)
     });
 
@@ -93,13 +241,14 @@ class StoreFile {
 /**
  * Format file name.
  * @param {Number} time
- * @param {Boolean} gzipped
+ * @param {String?} codec - compression codec name.
  * @param {Object} options
  * @returns {String}
  */
 
-common.getFileName = (time, gzipped, options) => {
-  return util.format(options.format, time, gzipped ? '.gz' : '');
+common.getFileName = (time, codec, options) => {
+  const ext = codec ? '.' + codecs.get(codec).ext : '';
+  return util.format(options.format, time, ext);
 };
 
 /**
@@ -125,7 +274,7 @@ common.getStoreFiles = async function getStoreFiles(prefix, options = {}) {
     if (filesByTime.has(storeFile.time)) {
       const prev = filesByTime.get(storeFile.time);
 
-      if (!prev.gzipped && storeFile.gzipped)
+      if (!prev.compressed && storeFile.compressed)
         filesByTime.set(storeFile.time, storeFile);
 
       continue;
@@ -139,7 +288,7 @@ common.getStoreFiles = async function getStoreFiles(prefix, options = {}) {
   for (const file of filesByTime.values())
     matchedFiles.push(file);
 
-  files.sort((a, b) => a.time - b.time);
+  matchedFiles.sort((a, b) => a.time - b.time);
 
   return matchedFiles;
 };
@@ -163,6 +312,11 @@ common.getStartTS = async function getStartTS(prefix, options = {}) {
 common.StoreFile = StoreFile;
 common.StoreOptions = StoreOptions;
 
+/*
+ * Fixed error codes used by binary files before version 2,
+ * they only decode to the short names.
+ */
+
 common.ERRORS = {
   ECONNREFUSED: 3,
   EHOSTUNREACH: 4,
@@ -177,37 +331,6 @@ common.ERRORS = {
   PROTOCOL_INVALID_MAGIC: 200
 };
 
-common.error2code = function error2code(message) {
-  if (message.includes('ECONNREFUSED'))
-    return common.ERRORS.ECONNREFUSED;
-
-  if (message.includes('EHOSTUNREACH'))
-    return common.ERRORS.EHOSTUNREACH;
-
-  if (message.includes('ENETUNREACH'))
-    return common.ERRORS.ENETUNREACH;
-
-  if (message.includes('ECONNRESET'))
-    return common.ERRORS.ECONNRESET;
-
-  if (message.includes('Connection timed out.'))
-    return common.ERRORS.CONN_TIMEOUT;
-
-  if (message.includes('Socket hangup'))
-    return common.ERRORS.HANGUP;
-
-  if (message.includes('Peer is stalling'))
-    return common.ERRORS.STALLING;
-
-  if (message.includes('Timeout'))
-    return common.ERRORS.TOTAL_TIMEOUT;
-
-  if (message.includes('Invalid magic value'))
-    return common.ERRORS.PROTOCOL_INVALID_MAGIC;
-
-  throw new Error(`Unknown error: ${message}`);
-};
-
 common.code2error = function code2error(code) {
   switch (code) {
     case common.ERRORS.ECONNREFUSED:
@@ -0,0 +1,22 @@
+/*!
+ * dnsreader.js - Read binary DNS log files event by event.
+ * Copyright (c) 2024, Nodari Chkuaselidze (MIT License)
+ * https://github.com/nodech/hsd-nethealth-status
+ */
+
+'use strict';
+
+const BinReader = require('./binreader');
+const {PacketTypes, DNSLogEntry} = require('./bincommon');
+
+class DNSReader extends BinReader {
+  constructor(options) {
+    super(options, PacketTypes.DNS_ENTRY, DNSLogEntry);
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = DNSReader;
@@ -0,0 +1,22 @@
+/*!
+ * dnswriter.js - Log DNS events into binary files.
+ * Copyright (c) 2024, Nodari Chkuaselidze (MIT License)
+ * https://github.com/nodech/hsd-nethealth-status
+ */
+
+'use strict';
+
+const BinWriter = require('./binwriter');
+const {PacketTypes, DNSLogEntry} = require('./bincommon');
+
+class DNSWriter extends BinWriter {
+  constructor(options) {
+    super(options, PacketTypes.DNS_ENTRY, DNSLogEntry);
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = DNSWriter;
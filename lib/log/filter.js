@@ -0,0 +1,139 @@
+/*!
+ * filter.js - Filter log entries.
+ * Copyright (c) 2024, Nodari Chkuaselidze (MIT License)
+ * https://github.com/nodech/hsd-nethealth-status
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const binet = require('binet');
+
+/**
+ * Filter for the log entries read from the store,
+ * works on the json of both dns and node entries.
+ */
+
+class EntryFilter {
+  constructor(options) {
+    this.since = 0;
+    this.until = -1;
+    this.host = null;
+    this.port = -1;
+    this.hostname = null;
+    this.errorsOnly = false;
+    this.successOnly = false;
+    this.agent = null;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    assert(options);
+
+    if (options.since != null) {
+      assert(Number.isSafeInteger(options.since) && options.since >= 0);
+      this.since = options.since;
+    }
+
+    if (options.until != null) {
+      assert(Number.isSafeInteger(options.until) && options.until >= 0);
+      this.until = options.until;
+    }
+
+    if (options.host != null) {
+      assert(typeof options.host === 'string');
+      this.host = binet.normalize(options.host);
+    }
+
+    if (options.port != null) {
+      assert((options.port & 0xffff) === options.port);
+      this.port = options.port;
+    }
+
+    if (options.hostname != null) {
+      assert(typeof options.hostname === 'string');
+      this.hostname = options.hostname;
+    }
+
+    if (options.errorsOnly != null) {
+      assert(typeof options.errorsOnly === 'boolean');
+      this.errorsOnly = options.errorsOnly;
+    }
+
+    if (options.successOnly != null) {
+      assert(typeof options.successOnly === 'boolean');
+      this.successOnly = options.successOnly;
+    }
+
+    if (options.agent != null) {
+      assert(typeof options.agent === 'string');
+      this.agent = options.agent;
+    }
+
+    assert(!this.errorsOnly || !this.successOnly,
+      'Can not filter both errors and successes only.');
+
+    return this;
+  }
+
+  /**
+   * Whether entries of the file and the following ones can not
+   * match anymore. Entries of the file before it may still be
+   * out of order, the files only start in order.
+   * @param {Number} fileTime - start time of the file being read.
+   * @returns {Boolean}
+   */
+
+  isDone(fileTime) {
+    return this.until !== -1 && fileTime > this.until;
+  }
+
+  /**
+   * @param {Object} json - log entry.
+   * @returns {Boolean}
+   */
+
+  test(json) {
+    const {info} = json;
+
+    if (json.logTimestamp < this.since)
+      return false;
+
+    if (this.until !== -1 && json.logTimestamp > this.until)
+      return false;
+
+    if (this.host != null) {
+      if (info.host == null || binet.normalize(info.host) !== this.host)
+        return false;
+    }
+
+    if (this.port !== -1 && info.port !== this.port)
+      return false;
+
+    if (this.hostname != null && info.hostname !== this.hostname)
+      return false;
+
+    if (this.errorsOnly && info.error == null)
+      return false;
+
+    if (this.successOnly && info.error != null)
+      return false;
+
+    if (this.agent != null) {
+      const agent = info.result?.peer?.agent;
+
+      if (agent == null || !agent.includes(this.agent))
+        return false;
+    }
+
+    return true;
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = EntryFilter;
@@ -0,0 +1,138 @@
+/*!
+ * formats.js - Log store formats.
+ * Copyright (c) 2024, Nodari Chkuaselidze (MIT License)
+ * https://github.com/nodech/hsd-nethealth-status
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const JSONReader = require('./jsonreader');
+const JSONWriter = require('./jsonwriter');
+const NodesReader = require('./nodesreader');
+const NodesWriter = require('./nodeswriter');
+const DNSReader = require('./dnsreader');
+const DNSWriter = require('./dnswriter');
+const jsonCommon = require('./jsoncommon');
+const binCommon = require('./bincommon');
+const {StoreOptions, getStoreFiles} = require('./common');
+
+/** @typedef {import('./reader')} Reader */
+/** @typedef {import('./writer')} Writer */
+
+const formats = exports;
+
+formats.JSON = 'json';
+formats.BIN1 = 'bin1';
+formats.AUTO = 'auto';
+
+/**
+ * Readers, writers and file options by format and store kind.
+ */
+
+formats.stores = {
+  dns: {
+    [formats.JSON]: {
+      Reader: JSONReader,
+      Writer: JSONWriter,
+      fileOptions: jsonCommon.fileOptions
+    },
+    [formats.BIN1]: {
+      Reader: DNSReader,
+      Writer: DNSWriter,
+      fileOptions: binCommon.fileOptions
+    }
+  },
+  nodes: {
+    [formats.JSON]: {
+      Reader: JSONReader,
+      Writer: JSONWriter,
+      fileOptions: jsonCommon.fileOptions
+    },
+    [formats.BIN1]: {
+      Reader: NodesReader,
+      Writer: NodesWriter,
+      fileOptions: binCommon.fileOptions
+    }
+  }
+};
+
+/**
+ * Detect store format from the files in the store.
+ * Falls back to json, if store is empty.
+ * @param {String} kind - dns or nodes.
+ * @param {Object} options - store options.
+ * @returns {Promise<String>}
+ */
+
+formats.detectFormat = async function detectFormat(kind, options) {
+  const store = formats.stores[kind];
+  assert(store, `Unknown store: ${kind}.`);
+
+  const {prefix} = new StoreOptions(options);
+  const found = [];
+
+  for (const [format, {fileOptions}] of Object.entries(store)) {
+    const files = await getStoreFiles(prefix, fileOptions);
+
+    if (files.length > 0)
+      found.push(format);
+  }
+
+  if (found.length > 1) {
+    throw new Error(`Store ${prefix} has files in multiple formats: `
+      + `${found.join(', ')}, format must be specified.`);
+  }
+
+  if (found.length === 0)
+    return formats.JSON;
+
+  return found[0];
+};
+
+/**
+ * Create reader for the store.
+ * @param {String} kind - dns or nodes.
+ * @param {String} format - json, bin1 or auto.
+ * @param {Object} options - reader options.
+ * @returns {Promise<Reader>}
+ */
+
+formats.createReader = async function createReader(kind, format, options) {
+  if (format === formats.AUTO)
+    format = await formats.detectFormat(kind, options);
+
+  const {Reader} = getFormat(kind, format);
+
+  return new Reader(options);
+};
+
+/**
+ * Create writer for the store.
+ * @param {String} kind - dns or nodes.
+ * @param {String} format - json or bin1.
+ * @param {Object} options - writer options.
+ * @returns {Writer}
+ */
+
+formats.createWriter = function createWriter(kind, format, options) {
+  const {Writer} = getFormat(kind, format);
+
+  return new Writer(options);
+};
+
+/*
+ * Helpers
+ */
+
+function getFormat(kind, format) {
+  const store = formats.stores[kind];
+  assert(store, `Unknown store: ${kind}.`);
+
+  const entry = store[format];
+
+  if (!entry)
+    throw new Error(`Unsupported format "${format}" for ${kind} store.`);
+
+  return entry;
+}
@@ -5,10 +5,12 @@
 
 'use strict';
 
+const codecs = require('./codecs');
+
 const common = exports;
 
 common.FILE_FORMAT = 'event-%d.json%s';
-common.FILE_REGEX = /^event-(?<ts>\d+)\.json(?<gz>\.gz)?$/;
+common.FILE_REGEX = codecs.fileRegex('event-(?<ts>\\d+)\\.json');
 common.STORE_NAME = 'events';
 common.EXT = 'json';
 
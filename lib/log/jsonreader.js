@@ -6,46 +6,102 @@
 
 'use strict';
 
-const readline = require('node:readline');
-const assert = require('bsert');
 const Reader = require('./reader');
 const {fileOptions} = require('./jsoncommon');
 const {StoreOptions} = require('./common');
 
+const EMPTY = Buffer.alloc(0);
+const NEWLINE = 0x0a;
+
 class JSONReader extends Reader {
   constructor(options) {
     super(new StoreOptions(options), fileOptions);
   }
 
   async *[Symbol.asyncIterator]() {
-    assert(this.stream);
+    if (!this.stream)
+      return;
 
     let hasNext;
 
     do {
       hasNext = false;
 
-      const rl = readline.createInterface({
-        input: this.stream,
-        crlfDelay: Infinity
-      });
+      let left = EMPTY;
+
+      for await (const data of this.stream) {
+        const buf = left.length > 0 ? Buffer.concat([left, data]) : data;
+
+        let start = 0;
+        let end;
+
+        while ((end = buf.indexOf(NEWLINE, start)) !== -1) {
+          const line = buf.toString('utf8', start, end);
+          const offset = this.offset;
+
+          this.offset += end + 1 - start;
+          start = end + 1;
 
-      for await (const data of rl) {
-        const json = JSON.parse(data);
+          const json = this.parseLine(line, offset);
 
-        if (json.logTimestamp < this.lastReadTimestamp)
-          continue;
+          if (json)
+            yield json;
+        }
 
-        this.lastReadTimestamp = json.logTimestamp;
-        yield json;
+        left = buf.slice(start);
       }
 
-      const nextFileOpened = await this.openNextFile();
+      // Last line without the new line. In follow mode,
+      // writer may not have finished writing it yet.
+      if (left.length > 0 && !this.options.follow) {
+        const offset = this.offset;
+
+        this.offset += left.length;
+
+        const json = this.parseLine(left.toString('utf8'), offset);
+
+        if (json)
+          yield json;
+      }
 
-      if (nextFileOpened)
-        hasNext = true;
+      hasNext = await this.next();
     } while (hasNext);
   }
+
+  /**
+   * Parse line and filter already read entries.
+   * @private
+   * @param {String} line
+   * @param {Number} offset - offset of the line in the file.
+   * @returns {Object?}
+   */
+
+  parseLine(line, offset) {
+    let json;
+
+    try {
+      json = JSON.parse(line);
+    } catch (e) {
+      this.corrupt(e, offset);
+      return null;
+    }
+
+    // Written for the empty entries.
+    if (json === null)
+      return null;
+
+    if (typeof json !== 'object' || typeof json.logTimestamp !== 'number') {
+      this.corrupt(new Error('Invalid log entry.'), offset);
+      return null;
+    }
+
+    if (json.logTimestamp < this.lastReadTimestamp)
+      return null;
+
+    this.entryOffset = offset;
+    this.tick(json.logTimestamp);
+    return json;
+  }
 }
 
 /*
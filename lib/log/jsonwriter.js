@@ -8,17 +8,20 @@
 
 const assert = require('bsert');
 const Writer = require('./writer');
+const JSONReader = require('./jsonreader');
 const {StoreOptions} = require('./common');
 const {fileOptions} = require('./jsoncommon');
+const {lastIndexOfByte} = require('./utils');
 
 const NULL_BUFFER = Buffer.from('null\n', 'utf8');
+const NEWLINE = 0x0a;
 
 /**
  * @typedef {Object} StoreFile
  * @property {String} name
  * @property {Number} active
  * @property {Number} size
- * @property {Boolean} gzipped
+ * @property {String?} codec
  * @property {Number} time
  */
 
@@ -31,21 +34,70 @@ class JSONWriter extends Writer {
     super(new StoreOptions(options), fileOptions);
   }
 
+  /**
+   * @private
+   * @returns {JSONReader}
+   */
+
+  _createReader() {
+    return new JSONReader(this.getReaderOptions());
+  }
+
+  /**
+   * Every complete line ends with the new line.
+   * @private
+   * @param {String} file
+   * @param {Number} size
+   * @returns {Promise<Number>}
+   */
+
+  async _getValidSize(file, size) {
+    return await lastIndexOfByte(file, size, NEWLINE) + 1;
+  }
+
+  /**
+   * Lines of writeLog are the log json already.
+   * @private
+   * @param {Object?} json
+   * @param {Number} ts
+   * @returns {Object?}
+   */
+
+  _write(json, ts) {
+    let data = NULL_BUFFER;
+
+    if (json != null)
+      data = Buffer.from(JSON.stringify(json) + '\n', 'utf8');
+
+    this.writeData(data);
+
+    return json;
+  }
+
   /**
    * Write json line.
    * @param {Object} json - JSON object.
    * @param {Number} ts - Log Timestamp.
-   * @returns {Promise<Boolean>} - false - if we can't write nor buffer.
+   * @returns {Boolean} - false - if we can't write nor buffer.
    */
 
   writeJSONLine(json, ts) {
     assert(typeof ts === 'number' && ts > 0, 'Timestamp is required.');
-    let data = NULL_BUFFER;
+    return this.write(json, ts);
+  }
 
-    if (json != null)
-      data = Buffer.from(JSON.stringify(json) + '\n', 'utf8');
+  /**
+   * Write log entry.
+   * @param {Number} timestamp - Log Timestamp.
+   * @param {Object} info - entry json.
+   * @returns {Boolean} - false - if we can't write nor buffer.
+   */
 
-    return this.write(data, ts);
+  writeLog(timestamp, info) {
+    return this.writeJSONLine({
+      logTimestamp: timestamp,
+      info
+    }, timestamp);
   }
 }
 
@@ -7,17 +7,29 @@
 'use strict';
 
 const assert = require('bsert');
+const fs = require('fs');
 const Path = require('path');
+const os = require('os');
+
+// Clock ticks of /proc/<pid>/stat (USER_HZ).
+const CLOCK_TICKS = 100;
+// Recorded and actual start differ by the startup and the clock.
+const START_TOLERANCE = 10 * 1000;
 
 /**
  * LockFile
+ * Lock file contains the holder info: pid, hostname,
+ * process start time and command. Holder updates mtime
+ * of the file as the heartbeat.
  */
 
 class LockFile {
-  constructor(fs, prefix) {
+  constructor(fs, prefix, name = 'lock') {
     assert(fs && typeof fs.write === 'function');
+    assert(typeof name === 'string');
 
     this.fs = fs;
+    this.name = name;
     this.file = '';
     this.attempts = 4;
     this.interval = 1500;
@@ -30,7 +42,7 @@ class LockFile {
 
   rename(prefix) {
     assert(typeof prefix === 'string');
-    this.file = Path.resolve(prefix, 'lock');
+    this.file = Path.resolve(prefix, this.name);
   }
 
   async open() {
@@ -57,7 +69,7 @@ class LockFile {
         if (!stat)
           await this.touch();
         else
-          await this.update();
+          await this.write();
       } catch (e) {
         continue;
       }
@@ -67,12 +79,21 @@ class LockFile {
       return;
     }
 
-    throw new Error(`Could not acquire lock for: ${this.file}.`);
+    const info = await this.read();
+
+    if (!info)
+      throw new Error(`Could not acquire lock for: ${this.file}.`);
+
+    throw new Error(`Could not acquire lock for: ${this.file}, `
+      + `held by ${LockFile.format(info)}.`);
   }
 
   async close() {
     this.stop();
-    return this.unlink();
+
+    // Lock was taken over, it is not ours to remove.
+    if (LockFile.isOwn(await this.read()))
+      await this.unlink();
   }
 
   start() {
@@ -126,11 +147,165 @@ class LockFile {
 
   async touch() {
     const fd = await this.fs.open(this.file, 'wx', 0o640);
-    return this.fs.close(fd);
+    const data = LockFile.encode(LockFile.getInfo());
+
+    try {
+      await this.fs.write(fd, data, 0, data.length, 0);
+    } finally {
+      await this.fs.close(fd);
+    }
+  }
+
+  async write() {
+    return this.fs.writeFile(this.file, LockFile.encode(LockFile.getInfo()));
   }
 
   async update() {
-    return this.fs.truncate(this.file, 0);
+    const now = new Date();
+    return this.fs.utimes(this.file, now, now);
+  }
+
+  /**
+   * Read the holder info.
+   * @returns {Promise<Object?>} - null if not locked or no info.
+   */
+
+  async read() {
+    let data;
+
+    try {
+      data = await this.fs.readFile(this.file, 'utf8');
+    } catch (e) {
+      if (e.code !== 'ENOENT')
+        throw e;
+
+      return null;
+    }
+
+    try {
+      return JSON.parse(data);
+    } catch (e) {
+      // Written by an older version or in the middle of the write.
+      return null;
+    }
+  }
+
+  /**
+   * Get the lock state.
+   * @returns {Promise<Object?>} - null if not locked.
+   */
+
+  async inspect() {
+    const stat = await this.stat();
+
+    if (!stat)
+      return null;
+
+    const info = await this.read();
+    const heartbeat = Math.round(stat.mtimeMs);
+
+    return {
+      file: this.file,
+      info,
+      heartbeat,
+      stale: Date.now() >= heartbeat + this.stale,
+      alive: info ? LockFile.isAlive(info) : null
+    };
+  }
+
+  /**
+   * Get the info of the current process.
+   * @returns {Object}
+   */
+
+  static getInfo() {
+    return {
+      pid: process.pid,
+      hostname: os.hostname(),
+      start: Math.round(Date.now() - process.uptime() * 1000),
+      command: process.argv.join(' ')
+    };
+  }
+
+  static encode(info) {
+    return Buffer.from(JSON.stringify(info) + '\n', 'utf8');
+  }
+
+  static format(info) {
+    return `pid ${info.pid} on ${info.hostname}, `
+      + `started ${new Date(info.start).toISOString()}: ${info.command}`;
+  }
+
+  /**
+   * Whether the lock holder is the current process.
+   * @param {Object?} info
+   * @returns {Boolean}
+   */
+
+  static isOwn(info) {
+    // Can't tell, old lock files have no info.
+    if (!info)
+      return true;
+
+    return info.pid === process.pid && info.hostname === os.hostname();
+  }
+
+  /**
+   * Whether the lock holder process is running.
+   * @param {Object} info
+   * @returns {Boolean?} - null if the process is on another host.
+   */
+
+  static isAlive(info) {
+    if (info.hostname !== os.hostname())
+      return null;
+
+    try {
+      process.kill(info.pid, 0);
+    } catch (e) {
+      // Exists, but belongs to another user.
+      if (e.code !== 'EPERM')
+        return false;
+    }
+
+    if (info.start == null)
+      return true;
+
+    const start = LockFile.getStartTime(info.pid);
+
+    // Pid was reused by another process.
+    if (start != null && Math.abs(start - info.start) > START_TOLERANCE)
+      return false;
+
+    return true;
+  }
+
+  /**
+   * Get the start time of the running process.
+   * @param {Number} pid
+   * @returns {Number?} - null if unknown, e.g. not Linux.
+   */
+
+  static getStartTime(pid) {
+    let stat, uptime;
+
+    try {
+      stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+      uptime = fs.readFileSync('/proc/uptime', 'utf8');
+    } catch (e) {
+      return null;
+    }
+
+    // Command in the parentheses may contain spaces.
+    const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+    // Field 22, counted from the state as the field 3.
+    const ticks = Number(fields[19]);
+    const since = Number(uptime.split(' ')[0]) * 1000;
+
+    if (!Number.isSafeInteger(ticks) || !Number.isFinite(since))
+      return null;
+
+    return Math.round(Date.now() - since + ticks * (1000 / CLOCK_TICKS));
   }
 }
 
@@ -7,18 +7,26 @@
 'use strict';
 
 const assert = require('bsert');
-const zlib = require('node:zlib');
+const path = require('node:path');
 const events = require('node:events');
+const bfs = require('bfile');
+const codecs = require('./codecs');
+const {StoreIndex} = require('./storeindex');
 
 /** @typedef {import('./common').StoreFile} StoreFile */
 
 const {
   openReadStream,
   closeStream,
+  skipBytes,
   binarySearchFiles
 } = require('./utils');
 
-const {getStoreFiles} = require('./common');
+const {
+  StoreFile,
+  getFileName,
+  getStoreFiles
+} = require('./common');
 
 class Reader extends events.EventEmitter {
   constructor(options = {}, fileOptions = {}) {
@@ -29,7 +37,31 @@ class Reader extends events.EventEmitter {
 
     this.lastReadTimestamp = 0;
     this.file = null;
+    this.source = null;
     this.stream = null;
+
+    // Bytes of the current (decompressed) file consumed by the reader.
+    this.offset = 0;
+    // Whether current file was opened after it was compressed.
+    this.complete = false;
+    // Rest of the current file is skipped after corruption.
+    this.skipping = false;
+    // Offset of the last entry in the current file.
+    this.entryOffset = 0;
+    // Read only the opened file.
+    this.single = false;
+
+    // Progress
+    this.sourceStart = 0;
+    this.bytesBefore = 0;
+    this.totalBytes = 0;
+    this.entries = 0;
+    this.lastProgress = 0;
+    this.lastProgressEntries = 0;
+
+    this.stopped = false;
+    this.timer = null;
+    this.waiter = null;
   }
 
   /**
@@ -40,29 +72,226 @@ class Reader extends events.EventEmitter {
   async open(startTS = 0) {
     this.lastReadTimestamp = startTS;
     this.startFile = await this.getStartFile(startTS);
+
+    // In follow mode, wait for the writer to create the first file.
+    while (!this.startFile && this.options.follow && !this.stopped) {
+      await this.wait();
+      this.startFile = await this.getStartFile(startTS);
+    }
+
     this.file = this.startFile;
 
-    await this.openFile(this.startFile);
+    if (this.file && !await this.seek(this.file, startTS))
+      await this.openFile(this.startFile);
+
+    return this;
+  }
+
+  /**
+   * Open the file from the indexed checkpoint before the timestamp.
+   * @private
+   * @param {StoreFile} file
+   * @param {Number} startTS
+   * @returns {Promise<Boolean>} - false if there is no checkpoint.
+   */
+
+  async seek(file, startTS) {
+    if (!this.options.storeIndex || startTS === 0)
+      return false;
+
+    const index = new StoreIndex(this.options.prefix, this.fileOptions);
+    await index.load();
+
+    const fileIndex = index.get(file);
+
+    if (!fileIndex)
+      return false;
+
+    const checkpoint = fileIndex.find(startTS);
+
+    if (!checkpoint)
+      return false;
+
+    await this.openFile(file, checkpoint.offset, {
+      ...fileIndex.state,
+      ...checkpoint.state
+    });
 
+    this.emit('seek', file.filename, checkpoint.offset);
+    return true;
+  }
+
+  /**
+   * Open the single file of the store.
+   * @param {StoreFile} file
+   * @returns {Promise<Reader>}
+   */
+
+  async openSingle(file) {
+    this.single = true;
+    this.file = file;
+    await this.openFile(file);
     return this;
   }
 
   /**
    * @param {StoreFile} file - File to open.
+   * @param {Number} [offset=0] - Decompressed offset to start from.
+   * @param {Object?} [state] - reader state at the offset.
    * @returns {Promise<void>}
    */
 
-  async openFile(file) {
+  async openFile(file, offset = 0, state = null) {
     assert(file);
 
-    let stream = await openReadStream(file.path);
+    let source, stream;
 
-    this.emit('file open', file.filename, file.time);
+    if (file.compressed) {
+      source = await openReadStream(file.path);
+      stream = source.pipe(codecs.get(file.codec).decompress());
+
+      if (offset > 0)
+        stream = stream.pipe(skipBytes(offset));
+    } else {
+      source = await openReadStream(file.path, { start: offset });
+      stream = source;
+    }
 
-    if (file.gzipped)
-      stream = stream.pipe(zlib.createGunzip());
+    this.emit('file open', file.filename, file.time);
 
+    this.source = source;
     this.stream = stream;
+    this.offset = offset;
+    this.complete = file.compressed;
+    // Compressed files are read from the start.
+    this.sourceStart = file.compressed ? 0 : offset;
+
+    if (this.options.progressInterval > 0)
+      await this.updateTotals();
+
+    if (offset === 0)
+      this.skipping = false;
+  }
+
+  /**
+   * Update store sizes for the progress, from the start file.
+   * @private
+   * @returns {Promise}
+   */
+
+  async updateTotals() {
+    const files = await getStoreFiles(this.options.prefix, this.fileOptions);
+    const start = this.startFile ? this.startFile.time : this.file.time;
+
+    this.bytesBefore = 0;
+    this.totalBytes = 0;
+
+    for (const file of files) {
+      if (file.time < start)
+        continue;
+
+      if (file.time < this.file.time)
+        this.bytesBefore += file.size;
+
+      this.totalBytes += file.size;
+    }
+  }
+
+  /**
+   * Account the read entry, emits progress once in the interval.
+   * @param {Number} logTimestamp
+   */
+
+  tick(logTimestamp) {
+    this.lastReadTimestamp = logTimestamp;
+    this.entries++;
+
+    const interval = this.options.progressInterval;
+
+    if (interval === 0)
+      return;
+
+    const now = Date.now();
+
+    if (this.lastProgress === 0) {
+      this.lastProgress = now;
+      return;
+    }
+
+    if (now - this.lastProgress < interval)
+      return;
+
+    this.emit('progress', this.getProgress(now));
+    this.lastProgress = now;
+    this.lastProgressEntries = this.entries;
+  }
+
+  /**
+   * Get reading progress, bytes are on the disk (compressed).
+   * @param {Number} [now=Date.now()]
+   * @returns {Object}
+   */
+
+  getProgress(now = Date.now()) {
+    let fileBytes = 0;
+
+    if (this.source)
+      fileBytes = this.sourceStart + this.source.bytesRead;
+
+    const elapsed = (now - this.lastProgress) / 1000;
+    const entries = this.entries - this.lastProgressEntries;
+
+    return {
+      file: this.file ? this.file.filename : null,
+      bytes: Math.min(this.bytesBefore + fileBytes, this.totalBytes),
+      totalBytes: this.totalBytes,
+      entries: this.entries,
+      entriesPerSecond: elapsed > 0 ? Math.round(entries / elapsed) : 0,
+      lastTimestamp: this.lastReadTimestamp,
+      lag: now - this.lastReadTimestamp
+    };
+  }
+
+  /**
+   * Whether the current file can be read from the checkpoints.
+   * @returns {Boolean}
+   */
+
+  get seekable() {
+    return true;
+  }
+
+  /**
+   * Get the state needed to continue reading the current file
+   * from any entry, see `getEntryState`.
+   * @returns {Object?}
+   */
+
+  getFileState() {
+    return null;
+  }
+
+  /**
+   * Get the state needed to continue reading
+   * from the `entryOffset` of the last entry.
+   * @returns {Object?}
+   */
+
+  getEntryState() {
+    return null;
+  }
+
+  /**
+   * Report corrupt data in tolerant mode, throw otherwise.
+   * @param {Error} error
+   * @param {Number} offset - offset of the corrupt data.
+   */
+
+  corrupt(error, offset) {
+    if (!this.options.tolerant)
+      throw error;
+
+    this.emit('corrupt', this.file.filename, offset, error);
   }
 
   /**
@@ -71,14 +300,71 @@ class Reader extends events.EventEmitter {
    */
 
   async close() {
-    if (this.stream)
-      await closeStream(this.stream);
-
-    this.emit('file close', this.file.filename, this.file.time);
+    this.stop();
+    await this.closeFile();
 
     this.lastReadTimestamp = 0;
   }
 
+  /**
+   * Close current file streams.
+   * @private
+   * @returns {Promise<void>}
+   */
+
+  async closeFile() {
+    if (this.stream && this.stream !== this.source)
+      this.stream.destroy();
+
+    if (this.source && !this.source.destroyed)
+      await closeStream(this.source);
+
+    this.source = null;
+    this.stream = null;
+
+    if (this.file)
+      this.emit('file close', this.file.filename, this.file.time);
+  }
+
+  /**
+   * Stop following the store, pending waits resolve
+   * and iteration ends after the current file.
+   */
+
+  stop() {
+    this.stopped = true;
+
+    if (this.timer != null) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    if (this.waiter) {
+      const waiter = this.waiter;
+      this.waiter = null;
+      waiter();
+    }
+  }
+
+  /**
+   * Wait for poll interval or stop.
+   * @private
+   * @returns {Promise}
+   */
+
+  wait() {
+    assert(!this.waiter);
+
+    return new Promise((resolve) => {
+      this.waiter = resolve;
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.waiter = null;
+        resolve();
+      }, this.options.pollInterval);
+    });
+  }
+
   /**
    * Get starting file.
    * @param {Number} startTS - Start timestamp.
@@ -101,6 +387,20 @@ class Reader extends events.EventEmitter {
     return files[index];
   }
 
+  /**
+   * Get the newest event file.
+   * @returns {Promise<StoreFile?>}
+   */
+
+  async getLastFile() {
+    const files = await getStoreFiles(this.options.prefix, this.fileOptions);
+
+    if (files.length === 0)
+      return null;
+
+    return files[files.length - 1];
+  }
+
   /**
    * Get next event file.
    * @param {Number} startTS - Start timestamp.
@@ -129,9 +429,10 @@ class Reader extends events.EventEmitter {
    */
 
   async openNextFile() {
-    const nextFile = await this.getNextFile(this.lastReadTimestamp);
+    const nextFile = await this.getNextFile(this.file.time + 1);
 
-    if (nextFile && nextFile.path !== this.file.path) {
+    if (nextFile && nextFile.time > this.file.time) {
+      await this.closeFile();
       this.file = nextFile;
       await this.openFile(nextFile);
       return true;
@@ -139,6 +440,92 @@ class Reader extends events.EventEmitter {
 
     return false;
   }
+
+  /**
+   * Open next data to read, once the current stream is consumed.
+   * In follow mode waits for new data in the current file or
+   * for the next file after rotation.
+   * @returns {Promise<Boolean>} - false if there is nothing more to read.
+   */
+
+  async next() {
+    if (this.stopped || this.single)
+      return false;
+
+    if (!this.options.follow)
+      return this.openNextFile();
+
+    return this.follow();
+  }
+
+  /**
+   * Wait for new data.
+   * @private
+   * @returns {Promise<Boolean>}
+   */
+
+  async follow() {
+    while (!this.stopped) {
+      // Writer only creates the next file after it has closed
+      // the current one, so check it first.
+      const nextFile = await this.getNextFile(this.file.time + 1);
+      const file = await this.getCurrentFile();
+
+      try {
+        // Appended data to the active file.
+        if (file && !file.compressed && file.size > this.offset
+            && !this.skipping) {
+          await this.openFile(file, this.offset);
+          return true;
+        }
+
+        // Rotated and compressed while we were reading it.
+        if (file && file.compressed && !this.complete && !this.skipping) {
+          await this.openFile(file, this.offset);
+          return true;
+        }
+      } catch (e) {
+        // Removed after compression, try again.
+        if (e.code === 'ENOENT')
+          continue;
+
+        throw e;
+      }
+
+      if (nextFile && nextFile.time > this.file.time) {
+        await this.closeFile();
+        this.file = nextFile;
+        await this.openFile(nextFile);
+        return true;
+      }
+
+      await this.wait();
+    }
+
+    return false;
+  }
+
+  /**
+   * Get fresh info for the current file. Prefers uncompressed
+   * file while it exists, compressed may still be in progress.
+   * @private
+   * @returns {Promise<StoreFile?>}
+   */
+
+  async getCurrentFile() {
+    const {prefix} = this.options;
+
+    for (const codec of [null, ...Object.keys(codecs.codecs)]) {
+      const name = getFileName(this.file.time, codec, this.fileOptions);
+
+      if (!await bfs.exists(path.join(prefix, name)))
+        continue;
+
+      return StoreFile.fromFileName(prefix, name, this.fileOptions);
+    }
+
+    return null;
+  }
 }
 
 function compare(a, b) {
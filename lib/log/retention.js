@@ -0,0 +1,192 @@
+/*!
+ * retention.js - Retention policy for rotated log files.
+ * Copyright (c) 2024, Nodari Chkuaselidze (MIT License)
+ * https://github.com/nodech/hsd-nethealth-status
+ */
+
+'use strict';
+
+const path = require('node:path');
+const assert = require('bsert');
+const bfs = require('bfile');
+const formats = require('./formats');
+const {StoreOptions, getStoreFiles} = require('./common');
+
+/** @typedef {import('./common').StoreFile} StoreFile */
+
+const retention = exports;
+
+/**
+ * Retention options.
+ */
+
+class RetentionOptions {
+  constructor(options) {
+    // Files with entries older than this are expired, 0 - disabled.
+    this.maxAge = 0;
+    // Oldest files over the total size are expired, 0 - disabled.
+    this.maxSize = 0;
+    // Do not expire files that were not fully indexed yet.
+    this.indexedTimestamp = -1;
+    // Move expired files here, instead of removing them.
+    this.archive = null;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    assert(options);
+
+    if (options.maxAge != null) {
+      assert(Number.isSafeInteger(options.maxAge) && options.maxAge >= 0);
+      this.maxAge = options.maxAge;
+    }
+
+    if (options.maxSize != null) {
+      assert(Number.isSafeInteger(options.maxSize) && options.maxSize >= 0);
+      this.maxSize = options.maxSize;
+    }
+
+    if (options.indexedTimestamp != null) {
+      assert(Number.isSafeInteger(options.indexedTimestamp));
+      this.indexedTimestamp = options.indexedTimestamp;
+    }
+
+    if (options.archive != null) {
+      assert(typeof options.archive === 'string');
+      this.archive = options.archive;
+    }
+
+    return this;
+  }
+}
+
+/**
+ * Get expired files of the store. The last file is never expired,
+ * writer may still be appending to it.
+ * @param {StoreFile[]} files - sorted store files.
+ * @param {RetentionOptions} options
+ * @param {Number} [now=Date.now()]
+ * @returns {StoreFile[]}
+ */
+
+retention.getExpiredFiles = function getExpiredFiles(files, options, now) {
+  assert(options instanceof RetentionOptions);
+
+  if (now == null)
+    now = Date.now();
+
+  const expired = new Set();
+
+  if (options.maxAge > 0) {
+    for (let i = 0; i < files.length - 1; i++) {
+      // File contains entries until the next file starts.
+      if (files[i + 1].time <= now - options.maxAge)
+        expired.add(i);
+    }
+  }
+
+  if (options.maxSize > 0) {
+    let size = 0;
+
+    for (let i = files.length - 1; i >= 0; i--) {
+      size += files[i].size;
+
+      if (size > options.maxSize && i < files.length - 1)
+        expired.add(i);
+    }
+  }
+
+  const result = [];
+
+  for (let i = 0; i < files.length - 1; i++) {
+    if (!expired.has(i))
+      continue;
+
+    // Indexer has not read past this file.
+    if (options.indexedTimestamp !== -1
+        && files[i + 1].time > options.indexedTimestamp) {
+      break;
+    }
+
+    result.push(files[i]);
+  }
+
+  return result;
+};
+
+/**
+ * Remove or archive expired files of the store.
+ * @param {String} prefix - store directory.
+ * @param {Object} fileOptions - store file options.
+ * @param {RetentionOptions|Object} options
+ * @returns {Promise<StoreFile[]>} - pruned files.
+ */
+
+retention.pruneStore = async function pruneStore(prefix, fileOptions, options) {
+  if (!(options instanceof RetentionOptions))
+    options = new RetentionOptions(options);
+
+  const files = await getStoreFiles(prefix, fileOptions);
+  const expired = retention.getExpiredFiles(files, options);
+
+  if (expired.length === 0)
+    return expired;
+
+  let archive = null;
+
+  if (options.archive) {
+    archive = path.join(options.archive, path.basename(prefix));
+    await bfs.mkdirp(archive);
+  }
+
+  for (const file of expired) {
+    if (archive)
+      await moveFile(file.path, path.join(archive, file.filename));
+    else
+      await bfs.remove(file.path);
+  }
+
+  return expired;
+};
+
+/**
+ * Prune files of all formats in the store.
+ * @param {String} kind - dns or nodes.
+ * @param {Object} storeOptions - store options.
+ * @param {RetentionOptions|Object} options
+ * @returns {Promise<StoreFile[]>} - pruned files.
+ */
+
+retention.prune = async function prune(kind, storeOptions, options) {
+  const store = formats.stores[kind];
+  assert(store, `Unknown store: ${kind}.`);
+
+  const {prefix} = new StoreOptions(storeOptions);
+  const pruned = [];
+
+  for (const {fileOptions} of Object.values(store))
+    pruned.push(...await retention.pruneStore(prefix, fileOptions, options));
+
+  return pruned;
+};
+
+/*
+ * Helpers
+ */
+
+async function moveFile(from, to) {
+  try {
+    await bfs.rename(from, to);
+  } catch (e) {
+    // Archive is on another device.
+    if (e.code !== 'EXDEV')
+      throw e;
+
+    await bfs.copyFile(from, to);
+    await bfs.remove(from);
+  }
+}
+
+retention.RetentionOptions = RetentionOptions;
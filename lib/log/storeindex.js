@@ -0,0 +1,261 @@
+/*!
+ * storeindex.js - Sidecar index of the log store files.
+ * Copyright (c) 2024, Nodari Chkuaselidze (MIT License)
+ * https://github.com/nodech/hsd-nethealth-status
+ */
+
+'use strict';
+
+const path = require('node:path');
+const assert = require('bsert');
+const bfs = require('bfile');
+const {getStoreFiles} = require('./common');
+
+/** @typedef {import('./common').StoreFile} StoreFile */
+/** @typedef {import('./reader')} Reader */
+
+const INDEX_FILE = 'index.json';
+const INDEX_VERSION = 1;
+
+// Decompressed bytes between the checkpoints.
+const CHECKPOINT_INTERVAL = 1 << 20;
+
+/**
+ * Index of the single rotated file.
+ */
+
+class FileIndex {
+  constructor(options = {}) {
+    this.time = options.time || 0;
+    // Decompressed size of the file.
+    this.size = options.size || 0;
+    this.first = options.first || 0;
+    this.last = options.last || 0;
+    this.count = options.count || 0;
+    // Reader state of the file, see Reader.getFileState.
+    this.state = options.state || null;
+    /** @type {Object[]} */
+    this.checkpoints = options.checkpoints || [];
+  }
+
+  /**
+   * Find the last checkpoint before the timestamp.
+   * @param {Number} timestamp
+   * @returns {Object?}
+   */
+
+  find(timestamp) {
+    let result = null;
+
+    for (const checkpoint of this.checkpoints) {
+      // Entries with the same timestamp may be before the checkpoint.
+      if (checkpoint.timestamp >= timestamp)
+        break;
+
+      result = checkpoint;
+    }
+
+    return result;
+  }
+
+  toJSON() {
+    return {
+      time: this.time,
+      size: this.size,
+      first: this.first,
+      last: this.last,
+      count: this.count,
+      state: this.state,
+      checkpoints: this.checkpoints
+    };
+  }
+
+  static fromJSON(json) {
+    return new this(json);
+  }
+}
+
+/**
+ * Store index, kept in the store directory next to the files.
+ * Active file is not indexed, index is only an optimization
+ * and can be removed at any time.
+ */
+
+class StoreIndex {
+  /**
+   * @param {String} prefix - store directory.
+   * @param {Object} fileOptions - store file options.
+   */
+
+  constructor(prefix, fileOptions) {
+    assert(typeof prefix === 'string');
+
+    this.prefix = prefix;
+    this.fileOptions = fileOptions;
+    this.file = path.join(prefix, fileOptions.ext + '.' + INDEX_FILE);
+    this.checkpointInterval = CHECKPOINT_INTERVAL;
+
+    /** @type {Map<Number, FileIndex>} */
+    this.files = new Map();
+  }
+
+  /**
+   * Load index from the disk, broken index is ignored.
+   * @returns {Promise<StoreIndex>}
+   */
+
+  async load() {
+    this.files.clear();
+
+    let json;
+
+    try {
+      json = JSON.parse(await bfs.readFile(this.file, 'utf8'));
+    } catch (e) {
+      return this;
+    }
+
+    if (json.version !== INDEX_VERSION)
+      return this;
+
+    for (const file of json.files)
+      this.files.set(file.time, FileIndex.fromJSON(file));
+
+    return this;
+  }
+
+  /**
+   * Write index, readers never see partial index.
+   * @returns {Promise}
+   */
+
+  async save() {
+    const files = [...this.files.values()].sort((a, b) => a.time - b.time);
+    const json = {
+      version: INDEX_VERSION,
+      files: files.map(file => file.toJSON())
+    };
+
+    const tmp = this.file + '.tmp';
+
+    await bfs.writeFile(tmp, JSON.stringify(json));
+    await bfs.rename(tmp, this.file);
+  }
+
+  /**
+   * Get index of the file, if it is up to date.
+   * @param {StoreFile} file
+   * @returns {FileIndex?}
+   */
+
+  get(file) {
+    const index = this.files.get(file.time);
+
+    if (!index)
+      return null;
+
+    // Raw file was modified after it was indexed.
+    if (!file.compressed && file.size !== index.size)
+      return null;
+
+    return index;
+  }
+
+  /**
+   * Index files that are not in the index yet, except the
+   * active one, and forget removed files.
+   * @param {Function} createReader - returns the store reader.
+   * @returns {Promise<Number>} - number of indexed files.
+   */
+
+  async update(createReader) {
+    const files = await getStoreFiles(this.prefix, this.fileOptions);
+    const times = new Set(files.map(file => file.time));
+    let changed = 0;
+
+    for (const time of this.files.keys()) {
+      if (!times.has(time)) {
+        this.files.delete(time);
+        changed++;
+      }
+    }
+
+    let indexed = 0;
+
+    for (const file of files.slice(0, -1)) {
+      if (this.get(file))
+        continue;
+
+      const reader = createReader();
+
+      try {
+        this.files.set(file.time, await this.indexFile(reader, file));
+      } catch (e) {
+        // Compressed in the meantime, will be indexed next time.
+        if (e.code === 'ENOENT')
+          continue;
+
+        throw e;
+      }
+
+      indexed++;
+    }
+
+    if (changed + indexed > 0)
+      await this.save();
+
+    return indexed;
+  }
+
+  /**
+   * Read the file and record the checkpoints.
+   * @param {Reader} reader
+   * @param {StoreFile} file
+   * @returns {Promise<FileIndex>}
+   */
+
+  async indexFile(reader, file) {
+    const index = new FileIndex({ time: file.time });
+    let next = 0;
+
+    await reader.openSingle(file);
+
+    try {
+      for await (const entry of reader) {
+        // Can't restore the state, only read it from the start.
+        if (!reader.seekable)
+          continue;
+
+        if (index.count === 0)
+          index.first = entry.logTimestamp;
+
+        if (reader.entryOffset >= next) {
+          index.checkpoints.push({
+            timestamp: entry.logTimestamp,
+            offset: reader.entryOffset,
+            state: reader.getEntryState()
+          });
+
+          next = reader.entryOffset + this.checkpointInterval;
+        }
+
+        index.last = entry.logTimestamp;
+        index.count++;
+      }
+
+      index.size = reader.offset;
+      index.state = reader.getFileState();
+    } finally {
+      await reader.close();
+    }
+
+    return index;
+  }
+}
+
+/*
+ * Expose
+ */
+
+exports.FileIndex = FileIndex;
+exports.StoreIndex = StoreIndex;
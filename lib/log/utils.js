@@ -6,10 +6,12 @@
 
 'use strict';
 
-const zlib = require('node:zlib');
+const {Transform, promises: {pipeline}} = require('node:stream');
 const assert = require('bsert');
 const bfs = require('bfile');
 
+/** @typedef {import('./codecs').Codec} Codec */
+
 const utils = exports;
 
 utils.closeStream = function closeStream(stream) {
@@ -79,21 +81,117 @@ utils.openReadStream = function openReadStream(filename, flags) {
   return utils.openStream(stream);
 };
 
-utils.gzipFile = function gzipFile(file) {
-  assert(!file.endsWith('.gz'));
+/**
+ * Compress file next to the original.
+ * @param {String} file
+ * @param {Codec} codec
+ * @param {Number?} [level]
+ * @returns {Promise<String>} - compressed file path.
+ */
+
+utils.compressFile = async function compressFile(file, codec, level) {
+  assert(!file.endsWith('.' + codec.ext));
 
-  return new Promise((resolve, reject) => {
-    const out = file + '.gz';
-    const readStream = bfs.createReadStream(file);
-    const writeStream = bfs.createWriteStream(out);
-    const gzip = zlib.createGzip();
-
-    readStream
-      .pipe(gzip)
-      .pipe(writeStream)
-      .once('finish', () => resolve(out))
-      .once('error', reject);
+  const out = file + '.' + codec.ext;
+  // Readers must not see the partially compressed file.
+  const tmp = out + '.tmp';
+
+  try {
+    await pipeline(
+      bfs.createReadStream(file),
+      codec.compress(level),
+      bfs.createWriteStream(tmp)
+    );
+
+    await bfs.rename(tmp, out);
+  } catch (e) {
+    await bfs.remove(tmp);
+    throw e;
+  }
+
+  return out;
+};
+
+/**
+ * Create a transform stream that drops first `size` bytes.
+ * @param {Number} size
+ * @returns {Transform}
+ */
+
+utils.skipBytes = function skipBytes(size) {
+  let left = size;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (left >= chunk.length) {
+        left -= chunk.length;
+        callback();
+        return;
+      }
+
+      const data = chunk.slice(left);
+      left = 0;
+      callback(null, data);
+    }
+  });
+};
+
+/**
+ * Flush written data of the write stream to the disk.
+ * @param {WriteStream} stream
+ * @returns {Promise}
+ */
+
+utils.syncStream = async function syncStream(stream) {
+  // Callback of the empty write runs after the queued writes.
+  await new Promise((resolve, reject) => {
+    stream.write(Buffer.alloc(0), (err) => {
+      if (err)
+        reject(err);
+      else
+        resolve();
+    });
   });
+
+  if (stream.fd == null)
+    return;
+
+  await bfs.fsync(stream.fd);
+};
+
+/**
+ * Find last position of the byte in the file, reading from the end.
+ * @param {String} file
+ * @param {Number} size - file size.
+ * @param {Number} byte
+ * @returns {Promise<Number>} - -1 if not found.
+ */
+
+utils.lastIndexOfByte = async function lastIndexOfByte(file, size, byte) {
+  const chunk = Buffer.alloc(64 << 10);
+  const fd = await bfs.open(file, 'r');
+
+  try {
+    let end = size;
+
+    while (end > 0) {
+      const start = Math.max(0, end - chunk.length);
+      const length = end - start;
+
+      await bfs.read(fd, chunk, 0, length, start);
+
+      const index = chunk.lastIndexOf(byte, length - 1);
+
+      if (index !== -1)
+        return start + index;
+
+      end = start;
+    }
+  } finally {
+    await bfs.close(fd);
+  }
+
+  return -1;
 };
 
 utils.getFileSize = async function getFileSize(file) {
@@ -10,41 +10,67 @@
 'use strict';
 
 const path = require('node:path');
+const events = require('node:events');
 const assert = require('bsert');
 const bfs = require('bfile');
 const LockFile = require('./lockfile');
+const codecs = require('./codecs');
+const {StoreIndex} = require('./storeindex');
+
+/** @typedef {import('./reader')} Reader */
 
 const {
   openWriteStream,
   closeStream,
+  syncStream,
   getFileSize,
-  gzipFile
+  compressFile
 } = require('./utils');
 
 const {
+  OVERFLOW,
   getFileName,
   getStoreFiles
 } = require('./common');
 
-class Writer {
+class Writer extends events.EventEmitter {
   constructor(options = {}, fileOptions = {}) {
+    super();
     assert(options.prefix, 'Prefix is required.');
     this.options = options;
     this.fileOptions = fileOptions;
 
+    // Entries are encoded once they are written to the file.
     this._buffer = [];
+    // Buffer reached the limit, emit drain once it is below.
+    this.full = false;
+    // Entries dropped because of the buffer overflow.
+    this.dropped = 0;
+    // Stream buffer is full, wait for its drain.
+    this.needDrain = false;
     this.stream = null;
     this.closed = false;
     this.closing = false;
     this.rotating = false;
     this.opening = false;
+    this.syncTimer = null;
+    this.rotateTimer = null;
+    this.retryTimer = null;
+
+    // Failed attempts since the last successful open.
+    this.retries = 0;
+    // Gave up after maxRetries, nothing is written anymore.
+    this.failed = false;
 
     this.ready = false;
 
     this.filePath = '';
     this.fileSize = 0;
+    // Entries from this time go to the next file.
+    this.fileEnd = -1;
     this.lockFile = new LockFile(bfs, this.options.prefix);
-    this.gzipEnabled = this.options.gzip;
+    this.index = new StoreIndex(this.options.prefix, this.fileOptions);
+    this.indexing = Promise.resolve();
   }
 
   /**
@@ -56,18 +82,43 @@ class Writer {
     return this.options.prefix;
   }
 
-  handleError(e) {
-    assert(this.stream);
+  /**
+   * Whether entries can go directly to the file.
+   * @returns {Boolean}
+   */
 
-    try {
-      this.stream.close();
-    } catch (e) {
-      ;
+  get writable() {
+    return this.stream != null
+      && !this.closed
+      && !this.closing
+      && !this.rotating
+      && !this.opening
+      && !this.needDrain;
+  }
+
+  /**
+   * Drop the broken stream and recover.
+   * @private
+   * @param {Error} err
+   */
+
+  handleError(err) {
+    this.stopSync();
+    this.stopRotateTimer();
+
+    if (this.stream) {
+      // Pending writes fail too, already handled.
+      this.stream.on('error', () => {});
+      this.stream.destroy();
+      this.stream = null;
     }
 
     this.closed = true;
-    this.stream = null;
-    this.retry();
+    this.needDrain = false;
+
+    // Part of the file may be lost, next one starts from scratch.
+    this._onClose();
+    this.retry(err);
   }
 
   /**
@@ -78,9 +129,37 @@ class Writer {
   async open() {
     await this.ensure();
     await this.lockFile.open();
+    await this.recover();
     this.ready = true;
   }
 
+  /**
+   * Truncate the torn record at the end of the last file,
+   * left by the crash while writing.
+   * @returns {Promise}
+   */
+
+  async recover() {
+    const files = await this.getFiles();
+
+    if (files.length === 0)
+      return;
+
+    const last = files[files.length - 1];
+
+    if (last.compressed || last.size === 0)
+      return;
+
+    const size = await this._getValidSize(last.path, last.size);
+
+    if (size === last.size)
+      return;
+
+    assert(size < last.size);
+    await bfs.truncate(last.path, size);
+    this.emit('truncate', last.filename, last.size, size);
+  }
+
   /**
    * Try closing stream.
    * May not write some data if the file was rotationg.
@@ -88,11 +167,40 @@ class Writer {
    */
 
   async close(closeLock = true) {
+    // Entries buffered while recovering get the last attempt.
+    if (!this.stream && closeLock && this.retryTimer != null) {
+      this.stopRetry();
+      await this.openOnClose();
+    }
+
+    // Nothing was written or the writer gave up.
+    if (!this.stream && closeLock) {
+      await this.indexing;
+      await this.lockFile.close();
+      this.ready = false;
+      this.emitDrain();
+      return;
+    }
+
     assert(!this.closed);
     assert(this.stream);
 
     this.closing = true;
+    this.stopSync();
+    this.stopRotateTimer();
+
+    // Do not lose the entries waiting for the drain.
+    if (!this.rotating) {
+      for (const [item, ts] of this._buffer)
+        this.encode(item, ts);
+
+      this._buffer.length = 0;
+    }
+
     try {
+      if (this.options.sync)
+        await syncStream(this.stream);
+
       await closeStream(this.stream);
       this._onClose();
     } finally {
@@ -100,12 +208,17 @@ class Writer {
     }
 
     if (closeLock) {
+      await this.indexing;
       await this.lockFile.close();
       this.ready = false;
     }
 
     this.stream = null;
     this.closed = true;
+    this.needDrain = false;
+
+    if (closeLock)
+      this.emitDrain();
   }
 
   /**
@@ -115,37 +228,186 @@ class Writer {
    */
 
   async openFile(ts) {
+    assert(typeof ts === 'number' && ts > 0, 'Timestamp is required.');
+
     this.opening = true;
-    const fileName = getFileName(ts, false, this.fileOptions);
+
+    try {
+      await this.openStream(ts);
+    } catch (e) {
+      this.opening = false;
+      this.retry(e);
+      return;
+    }
+
+    this.opening = false;
+
+    if (this.retries > 0) {
+      const retries = this.retries;
+      this.retries = 0;
+      this.emit('recovered', retries);
+    }
+
+    this.stream.once('error', e => this.handleError(e));
+
+    if (this.options.sync)
+      this.startSync();
+
+    if (this.fileEnd !== -1)
+      this.startRotateTimer();
+
+    this.flush();
+  }
+
+  /**
+   * Open the stream of the file.
+   * @private
+   * @param {Number} ts
+   * @returns {Promise}
+   */
+
+  async openStream(ts) {
+    const fileName = getFileName(ts, null, this.fileOptions);
     const filePath = path.join(this.prefix, fileName);
-    const fileSize = await getFileSize(filePath);
 
-    this.fileSize = fileSize;
+    this.fileSize = await getFileSize(filePath);
+    this.stream = await openWriteStream(filePath, {
+      flags: 'a',
+      autoClose: true
+    });
+
     this.filePath = filePath;
+    this.fileEnd = this.getFileEnd(ts);
+    this.closed = false;
+  }
+
+  /**
+   * Open the file for the buffered entries once more, before
+   * closing. Otherwise they are dropped and reported with `fail`.
+   * @private
+   * @returns {Promise}
+   */
+
+  async openOnClose() {
+    if (this._buffer.length === 0)
+      return;
+
+    this.opening = true;
 
     try {
-      this.stream = await openWriteStream(filePath, {
-        flags: 'a',
-        autoClose: true
-      });
+      // Broken file may end with the torn record.
+      await this.recover();
+      await this.openStream(this._buffer[0][1]);
     } catch (e) {
-      this.retry(ts);
+      this.fail(e);
       return;
+    } finally {
+      this.opening = false;
     }
 
-    this.opening = false;
-    this.closed = false;
+    const retries = this.retries;
+    this.retries = 0;
+    this.emit('recovered', retries);
 
     this.stream.once('error', e => this.handleError(e));
+  }
 
-    while (this._buffer.length > 0 && !this.rotating) {
-      const [msg, ts] = this._buffer.shift();
+  /**
+   * Get the end of the rotation period for the file.
+   * @param {Number} ts - file timestamp.
+   * @returns {Number} - -1 if time rotation is disabled.
+   */
 
-      if (!this.write(msg, ts)) {
-        this._buffer.unshift(msg);
-        break;
-      }
-    }
+  getFileEnd(ts) {
+    const interval = this.options.rotateInterval;
+
+    if (!interval)
+      return -1;
+
+    return (Math.floor(ts / interval) + 1) * interval;
+  }
+
+  /**
+   * Rotate the file if the entry belongs to the next period.
+   * Must be called before the entry is encoded.
+   * @param {Number} ts
+   * @returns {Boolean}
+   */
+
+  rotateIfExpired(ts) {
+    if (this.fileEnd === -1 || ts < this.fileEnd)
+      return false;
+
+    if (!this.stream || this.closed || this.rotating)
+      return false;
+
+    this.rotate();
+    return true;
+  }
+
+  /**
+   * Rotate at the end of the period, even if nothing was written.
+   * @private
+   */
+
+  startRotateTimer() {
+    this.stopRotateTimer();
+
+    const delay = this.fileEnd - Date.now();
+
+    // Writing older entries, rotation follows their timestamps.
+    if (delay <= 0)
+      return;
+
+    this.rotateTimer = setTimeout(() => {
+      this.rotateTimer = null;
+
+      if (!this.stream || this.closed || this.closing)
+        return;
+
+      this.rotate();
+    }, delay);
+  }
+
+  /**
+   * @private
+   */
+
+  stopRotateTimer() {
+    if (this.rotateTimer == null)
+      return;
+
+    clearTimeout(this.rotateTimer);
+    this.rotateTimer = null;
+  }
+
+  /**
+   * Periodically flush the active file to the disk.
+   * @private
+   */
+
+  startSync() {
+    this.stopSync();
+
+    this.syncTimer = setInterval(() => {
+      if (!this.stream || this.closing)
+        return;
+
+      // Stream errors are handled by handleError.
+      syncStream(this.stream).catch(() => {});
+    }, this.options.syncInterval);
+  }
+
+  /**
+   * @private
+   */
+
+  stopSync() {
+    if (this.syncTimer == null)
+      return;
+
+    clearInterval(this.syncTimer);
+    this.syncTimer = null;
   }
 
   /**
@@ -158,55 +420,303 @@ class Writer {
   }
 
   /**
-   * Retry opening store.
-   * @param {Number} ts
+   * Retry opening the file with the exponential backoff,
+   * give up after maxRetries.
+   * @private
+   * @param {Error} err
    */
 
-  retry(ts) {
-    if (this.timer != null)
+  retry(err) {
+    // Same failure seen by the stream and by the close.
+    if (this.retryTimer != null || this.failed)
+      return;
+
+    const {retryInterval, maxRetryInterval, maxRetries} = this.options;
+
+    if (maxRetries > 0 && this.retries >= maxRetries) {
+      this.fail(err);
       return;
+    }
 
-    this.timer = setTimeout(() => {
-      this.timer = null;
-      this.openFile(ts);
-    }, 1000);
+    this.emit('error', err);
+
+    const delay = Math.min(retryInterval * 2 ** this.retries, maxRetryInterval);
+
+    this.retries++;
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.reopen();
+    }, delay);
   }
 
   /**
-   * Write data to the file. (may rotate)
-   * @param {Buffer} data
+   * @private
+   */
+
+  stopRetry() {
+    if (this.retryTimer == null)
+      return;
+
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+  }
+
+  /**
+   * @private
+   * @returns {Promise}
+   */
+
+  async reopen() {
+    if (!this.ready || this.closing)
+      return;
+
+    this.opening = true;
+
+    try {
+      // Broken file may end with the torn record.
+      await this.recover();
+    } catch (e) {
+      this.opening = false;
+      this.retry(e);
+      return;
+    }
+
+    this.opening = false;
+
+    // Otherwise the next write opens the file.
+    if (this._buffer.length > 0)
+      this.openFile(this._buffer[0][1]);
+  }
+
+  /**
+   * Give up, buffered and following entries are dropped.
+   * @private
+   * @param {Error} err
+   */
+
+  fail(err) {
+    this.failed = true;
+
+    for (const [, ts] of this._buffer)
+      this.drop(ts);
+
+    this._buffer.length = 0;
+    this.emitDrain();
+
+    const error = new Error(`Could not recover the ${this.options.name} store`
+      + ` after ${this.retries} retries: ${err.message}`);
+    error.cause = err;
+
+    this.emit('error', error);
+  }
+
+  /**
+   * Write entry to the file or buffer it. (may rotate)
+   * With the block policy and the full buffer, returns the promise
+   * resolving once the entry is buffered, producers must wait for it.
+   * @param {Object} item - entry, see _write.
    * @param {Number} ts
-   * @returns {Boolean} - false - if we can't write nor buffer.
+   * @returns {Boolean|Promise<Boolean>} - false - if we can't write nor buffer.
    */
 
-  write(data, ts) {
+  write(item, ts) {
     assert(typeof ts === 'number' && ts > 0, 'Timestamp is required.');
-    assert(Buffer.isBuffer(data));
 
-    if (!this.ready)
+    // Rotation closes the file too, but writes go to the next one.
+    if (!this.ready || this.failed || (this.closing && !this.rotating))
       return false;
 
-    if (this.rotating || this.opening) {
-      this._buffer.push([data, ts]);
-      return true;
+    if (this._buffer.length === 0 && this.writable) {
+      if (!this.rotateIfExpired(ts)) {
+        this.writeItem(item, ts);
+        return true;
+      }
     }
 
-    if (this.closing)
+    if (this.options.overflow === OVERFLOW.BLOCK
+        && this._buffer.length >= this.options.maxBufferEntries) {
+      return this.writeBlocked(item, ts);
+    }
+
+    if (!this.bufferItem(item, ts))
       return false;
 
-    if (!this.stream) {
-      this._buffer.push([data, ts]);
-      this.openFile(ts);
-      return true;
+    if (!this.stream && !this.opening && !this.rotating
+        && this.retryTimer == null) {
+      // Name the file after the oldest entry it will contain.
+      this.openFile(this._buffer[0][1]);
     }
 
-    this.stream.write(data);
-    this.fileSize += data.length;
+    return true;
+  }
+
+  /**
+   * Wait for the free space in the buffer and write the entry.
+   * @private
+   * @param {Object} item
+   * @param {Number} ts
+   * @returns {Promise<Boolean>}
+   */
+
+  async writeBlocked(item, ts) {
+    this.full = true;
+
+    // Close and fail emit the drain too, write returns false then.
+    await this.drain();
+
+    return this.write(item, ts);
+  }
+
+  /**
+   * Buffer the entry, applying the overflow policy.
+   * Block policy waits in write, the buffer is never full here.
+   * @private
+   * @param {Object} item
+   * @param {Number} ts
+   * @returns {Boolean} - false if the entry was dropped.
+   */
+
+  bufferItem(item, ts) {
+    if (this._buffer.length >= this.options.maxBufferEntries) {
+      assert(this.options.overflow !== OVERFLOW.BLOCK);
+
+      this.full = true;
+
+      if (this.options.overflow === OVERFLOW.DROP_NEWEST) {
+        this.drop(ts);
+        return false;
+      }
+
+      this.drop(this._buffer.shift()[1]);
+    }
+
+    this._buffer.push([item, ts]);
+
+    if (this._buffer.length >= this.options.maxBufferEntries)
+      this.full = true;
+
+    return true;
+  }
+
+  /**
+   * @private
+   * @param {Number} ts - timestamp of the dropped entry.
+   */
+
+  drop(ts) {
+    this.dropped++;
+    this.emit('drop', ts, this.dropped);
+  }
+
+  /**
+   * Write buffered entries, until the file is writable.
+   * @private
+   */
+
+  flush() {
+    while (this._buffer.length > 0 && this.writable) {
+      const [item, ts] = this._buffer[0];
+
+      if (this.rotateIfExpired(ts))
+        break;
+
+      this._buffer.shift();
+      this.writeItem(item, ts);
+    }
+
+    if (this._buffer.length < this.options.maxBufferEntries)
+      this.emitDrain();
+  }
+
+  /**
+   * @private
+   */
+
+  emitDrain() {
+    if (!this.full)
+      return;
+
+    this.full = false;
+    this.emit('drain');
+  }
+
+  /**
+   * Wait until the buffer is below the limit.
+   * @returns {Promise}
+   */
+
+  async drain() {
+    if (!this.full)
+      return;
+
+    // Not events.once, it rejects on the errors we recover from.
+    await new Promise(resolve => this.once('drain', resolve));
+  }
+
+  /**
+   * Write entry to the active file.
+   * @private
+   * @param {Object} item
+   * @param {Number} ts
+   */
+
+  writeItem(item, ts) {
+    this.encode(item, ts);
 
     if (this.fileSize >= this.options.maxFileSize)
       this.rotate();
+  }
 
-    return true;
+  /**
+   * Encode the entry to the active file. Emits `write` with the
+   * log json as it is in the file, once it is written, not buffered.
+   * Entries that can not be encoded are skipped with `error`.
+   * @private
+   * @param {Object} item
+   * @param {Number} ts
+   */
+
+  encode(item, ts) {
+    let json;
+
+    try {
+      json = this._write(item, ts);
+    } catch (e) {
+      const error = new Error(`Could not encode the ${this.options.name}`
+        + ` entry at ${ts}: ${e.message}`);
+      error.cause = e;
+
+      this.emit('error', error);
+      return;
+    }
+
+    this.emit('write', json);
+  }
+
+  /**
+   * Write encoded data to the active file.
+   * @param {Buffer} data
+   */
+
+  writeData(data) {
+    assert(Buffer.isBuffer(data));
+    assert(this.stream);
+
+    const stream = this.stream;
+
+    if (!stream.write(data) && !this.needDrain) {
+      this.needDrain = true;
+
+      stream.once('drain', () => {
+        if (this.stream !== stream || !this.needDrain)
+          return;
+
+        this.needDrain = false;
+        this.flush();
+      });
+    }
+
+    this.fileSize += data.length;
   }
 
   /**
@@ -222,37 +732,146 @@ class Writer {
       return;
 
     this.rotating = true;
+    this._onRotate();
+
     const last = this.filePath;
-    await this.close(false);
+
+    try {
+      await this.close(false);
+    } catch (e) {
+      this.rotating = false;
+      this.handleError(e);
+      return;
+    }
+
     this.rotating = false;
 
-    await this.gzip(last);
+    // Writes during the rotation were buffered for the next file.
+    if (this._buffer.length > 0 && !this.stream && !this.opening)
+      this.openFile(this._buffer[0][1]);
+
+    await this.compress(last);
+
+    if (this.options.storeIndex)
+      this.updateIndex();
   }
 
   /**
+   * Index rotated files in the background.
    * @private
-   * Gzip file.
-   * @param {String} file
    * @returns {Promise}
    */
 
-  async gzip(file) {
+  updateIndex() {
+    this.indexing = this.indexing.then(async () => {
+      await this.index.load();
+
+      const indexed = await this.index.update(() => this._createReader());
+
+      if (indexed > 0)
+        this.emit('index', indexed);
+    }).catch((e) => {
+      // Index is only an optimization, logs are still written.
+      this.emit('index error', e);
+    });
+
+    return this.indexing;
+  }
+
+  /**
+   * Get reader options for the files of this store.
+   * @returns {Object}
+   */
+
+  getReaderOptions() {
+    return {
+      prefix: path.dirname(this.options.prefix),
+      name: this.options.name,
+      network: this.options.network,
+      storeIndex: false,
+      tolerant: true
+    };
+  }
+
+  /**
+   * @private
+   * Compress rotated file with the configured codec.
+   * Failure is reported with `error`, the file stays uncompressed.
+   * @param {String} file
+   * @returns {Promise<Boolean>}
+   */
+
+  async compress(file) {
     if (!this.options.autoGzip)
       return false;
 
+    const codec = codecs.get(this.options.compression);
+
     try {
-      await gzipFile(file);
+      await compressFile(file, codec, this.options.compressionLevel);
       await bfs.remove(file);
       return true;
     } catch (e) {
+      const error = new Error(`Could not compress ${file}: ${e.message}`);
+      error.cause = e;
+
+      this.emit('error', error);
       return false;
     }
   }
 
+  /**
+   * Encode the entry and write it with writeData.
+   * @private
+   * @param {Object} item
+   * @param {Number} ts
+   * @returns {Object} - log json of the entry, as readers decode it.
+   */
+
+  _write(item, ts) {
+    throw new Error('Abstract method.');
+  }
+
+  /**
+   * Called once the rotation starts, writes after this
+   * will end up in the next file.
+   * @private
+   */
+
+  _onRotate() {
+    ;
+  }
+
+  /**
+   * @private
+   */
+
   _onClose() {
     ;
   }
 
+  /**
+   * Create reader for the files of this store.
+   * @private
+   * @returns {Reader}
+   */
+
+  _createReader() {
+    throw new Error('Abstract method.');
+  }
+
+  /**
+   * Get size of the file without the torn record at the end.
+   * @private
+   * @param {String} file
+   * @param {Number} size
+   * @returns {Promise<Number>}
+   */
+
+  async _getValidSize(file, size) {
+    return size;
+  }
+
   /**
    * Get active file.
    * @returns {Promise<String>}
@@ -266,7 +885,7 @@ class Writer {
 
     const last = files[files.length - 1];
 
-    if (last.gzipped || last.size >= this.options.maxFileSize)
+    if (last.compressed || last.size >= this.options.maxFileSize)
       return null;
 
     return last.path;
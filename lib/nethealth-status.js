@@ -0,0 +1,145 @@
+/*!
+ * nethealth-status.js - Library entry point for hsd-nethealth-status.
+ * Copyright (c) 2024, Nodari Chkuaselidze (MIT License)
+ * https://github.com/nodech/hsd-nethealth-status
+ */
+
+'use strict';
+
+/**
+ * Exposes the log stores, the status database with its indexers
+ * and the entry/record models, so the indexing pipeline can be
+ * embedded without going through the bin/ scripts.
+ * @exports hsd-nethealth-status
+ */
+
+const status = exports;
+
+/*
+ * Common
+ */
+
+/** @type {typeof import('./common')} */
+status.common = require('./common');
+
+/** @type {typeof import('./config')} */
+status.config = require('./config');
+
+/*
+ * Entries
+ */
+
+/** @type {typeof import('./entry').DNSEntry} */
+status.DNSEntry = require('./entry').DNSEntry;
+
+/** @type {typeof import('./entry').NodeEntry} */
+status.NodeEntry = require('./entry').NodeEntry;
+
+/** @type {typeof import('./entry').NodeDetails} */
+status.NodeDetails = require('./entry').NodeDetails;
+
+/*
+ * Log stores
+ */
+
+/** @type {typeof import('./log/writer')} */
+status.Writer = require('./log/writer');
+
+/** @type {typeof import('./log/reader')} */
+status.Reader = require('./log/reader');
+
+/** @type {typeof import('./log/jsonwriter')} */
+status.JSONWriter = require('./log/jsonwriter');
+
+/** @type {typeof import('./log/jsonreader')} */
+status.JSONReader = require('./log/jsonreader');
+
+/** @type {typeof import('./log/nodeswriter')} */
+status.NodesWriter = require('./log/nodeswriter');
+
+/** @type {typeof import('./log/nodesreader')} */
+status.NodesReader = require('./log/nodesreader');
+
+/** @type {typeof import('./log/dnswriter')} */
+status.DNSWriter = require('./log/dnswriter');
+
+/** @type {typeof import('./log/dnsreader')} */
+status.DNSReader = require('./log/dnsreader');
+
+/** @type {typeof import('./log/common')} */
+status.logCommon = require('./log/common');
+
+/** @type {typeof import('./log/codecs')} */
+status.codecs = require('./log/codecs');
+
+/** @type {typeof import('./log/formats')} */
+status.formats = require('./log/formats');
+
+/** @type {typeof import('./log/storeindex').StoreIndex} */
+status.StoreIndex = require('./log/storeindex').StoreIndex;
+
+/** @type {typeof import('./log/filter')} */
+status.EntryFilter = require('./log/filter');
+
+/** @type {typeof import('./log/retention')} */
+status.retention = require('./log/retention');
+
+/*
+ * Status DB
+ */
+
+/** @type {typeof import('./store/statusdb')} */
+status.StatusDB = require('./store/statusdb');
+
+/** @type {typeof import('./store/dns')} */
+status.DNSIndexer = require('./store/dns');
+
+/** @type {typeof import('./store/node')} */
+status.NodeIndexer = require('./store/node');
+
+/** @type {typeof import('./store/batchindexer')} */
+status.BatchIndexer = require('./store/batchindexer');
+
+/** @type {typeof import('./store/migrations')} */
+status.migrations = require('./store/migrations');
+
+/** @type {typeof import('./store/snapshot')} */
+status.snapshot = require('./store/snapshot');
+
+/** @type {typeof import('./store/reindex')} */
+status.Reindex = require('./store/reindex');
+
+/** @type {typeof import('./store/layout')} */
+status.layout = require('./store/layout');
+
+/*
+ * Records
+ */
+
+/** @type {typeof import('./store/records').Uint32Record} */
+status.Uint32Record = require('./store/records').Uint32Record;
+
+/** @type {typeof import('./store/records').Uint64Record} */
+status.Uint64Record = require('./store/records').Uint64Record;
+
+/** @type {typeof import('./store/records').TimestampRecord} */
+status.TimestampRecord = require('./store/records').TimestampRecord;
+
+/** @type {typeof import('./store/records').TotalOnlineRecord} */
+status.TotalOnlineRecord = require('./store/records').TotalOnlineRecord;
+
+/** @type {typeof import('./store/dnsrecords').DNSBucketStatus} */
+status.DNSBucketStatus = require('./store/dnsrecords').DNSBucketStatus;
+
+/** @type {typeof import('./store/noderecords').UpCounts} */
+status.UpCounts = require('./store/noderecords').UpCounts;
+
+/** @type {typeof import('./store/noderecords').NodeBucketStatus} */
+status.NodeBucketStatus = require('./store/noderecords').NodeBucketStatus;
+
+/*
+ * Server
+ */
+
+/** @type {typeof import('./server')} */
+status.StatusServer = require('./server');
@@ -0,0 +1,568 @@
+/*!
+ * server.js - HTTP API over StatusDB.
+ * Copyright (c) 2024, Nodari Chkuaselidze (MIT License)
+ * https://github.com/nodech/hsd-nethealth-status
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const http = require('node:http');
+const EventEmitter = require('node:events');
+const binet = require('binet');
+const common = require('./common');
+
+/** @typedef {import('./store/statusdb')} StatusDB */
+
+const RANGES = {
+  hour: common.HOUR,
+  day: common.DAY,
+  week: common.WEEK,
+  month: common.MONTH,
+  year: common.YEAR
+};
+
+const BUCKETS = ['10m', 'hour', 'day'];
+
+class HTTPError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+class StatusServer extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {StatusDB} options.sdb
+   */
+
+  constructor(options) {
+    super();
+
+    this.options = new ServerOptions(options);
+    this.sdb = this.options.sdb;
+    this.routes = [];
+
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((e) => {
+        this.emit('error', e);
+      });
+    });
+
+    this.init();
+  }
+
+  /**
+   * Register routes.
+   */
+
+  init() {
+    this.get('/dns/hostnames', req => this.getDNSHostnames(req));
+    this.get('/dns/online', req => this.getDNSOnline(req));
+    this.get('/dns/upcounts', req => this.getDNSUpCounts(req));
+    this.get('/dns/:hostname/status', req => this.getDNSStatus(req));
+    this.get('/dns/:hostname/history', req => this.getDNSHistory(req));
+
+    this.get('/nodes/general', req => this.getNodesGeneral(req));
+    this.get('/nodes/online', req => this.getNodesOnline(req));
+    this.get('/nodes/upcounts', req => this.getNodesUpCounts(req));
+    this.get('/nodes/:host/ports', req => this.getNodePorts(req));
+    this.get('/nodes/:host/:port/status', req => this.getNodeStatus(req));
+    this.get('/nodes/:host/:port/history', req => this.getNodeHistory(req));
+  }
+
+  /**
+   * Register GET route.
+   * @param {String} path - e.g. /dns/:hostname/status
+   * @param {Function} handler
+   */
+
+  get(path, handler) {
+    const parts = path.split('/').filter(Boolean);
+    this.routes.push({ method: 'GET', parts, handler });
+  }
+
+  /**
+   * Start listening.
+   * @returns {Promise}
+   */
+
+  open() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.options.port, this.options.host, () => {
+        this.server.removeListener('error', reject);
+        this.server.on('error', e => this.emit('error', e));
+        this.emit('listening', this.server.address());
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stop listening.
+   * @returns {Promise}
+   */
+
+  close() {
+    return new Promise((resolve, reject) => {
+      this.server.close((err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @returns {Promise}
+   */
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const parts = url.pathname.split('/').filter(Boolean);
+
+    let json;
+
+    try {
+      const [route, params] = this.match(req.method, parts);
+
+      json = await route.handler({
+        params,
+        query: url.searchParams
+      });
+    } catch (e) {
+      if (!(e instanceof HTTPError))
+        this.emit('error', e);
+
+      const code = e instanceof HTTPError ? e.code : 500;
+      const message = e instanceof HTTPError ? e.message : 'Internal error.';
+
+      send(res, code, { error: { code, message } });
+      return;
+    }
+
+    send(res, 200, json);
+  }
+
+  /**
+   * Find route for the path.
+   * @param {String} method
+   * @param {String[]} parts
+   * @returns {Array} - [route, params]
+   */
+
+  match(method, parts) {
+    let allowed = false;
+
+    outer: for (const route of this.routes) {
+      if (route.parts.length !== parts.length)
+        continue;
+
+      const params = Object.create(null);
+
+      for (let i = 0; i < parts.length; i++) {
+        const expected = route.parts[i];
+
+        if (expected[0] === ':') {
+          params[expected.substring(1)] = decode(parts[i]);
+          continue;
+        }
+
+        if (expected !== parts[i])
+          continue outer;
+      }
+
+      if (route.method !== method) {
+        allowed = true;
+        continue;
+      }
+
+      return [route, params];
+    }
+
+    if (allowed)
+      throw new HTTPError(405, 'Method not allowed.');
+
+    throw new HTTPError(404, 'Not found.');
+  }
+
+  /*
+   * DNS routes.
+   */
+
+  async getDNSHostnames(req) {
+    const {dnsIndexer} = this.sdb;
+    const hostnames = [];
+
+    for await (const hostname of dnsIndexer.getHostnames())
+      hostnames.push(hostname);
+
+    return wrapData(hostnames);
+  }
+
+  async getDNSOnline(req) {
+    const {dnsIndexer} = this.sdb;
+    const hostnames = [];
+
+    for await (const hostname of dnsIndexer.getOnline())
+      hostnames.push(hostname.toString('utf8'));
+
+    return {
+      timestamp: Date.now(),
+      up: await dnsIndexer.getUpCount(),
+      data: hostnames
+    };
+  }
+
+  async getDNSUpCounts(req) {
+    const {dnsIndexer} = this.sdb;
+    const [since, bucket] = parseRange(req.query);
+
+    let iter;
+
+    switch (bucket) {
+      case '10m':
+        iter = dnsIndexer.get10mUpCountsByTime(since);
+        break;
+      case 'hour':
+        iter = dnsIndexer.getHourlyUpCountsByTime(since);
+        break;
+      case 'day':
+        iter = dnsIndexer.getDailyUpCountsByTime(since);
+        break;
+    }
+
+    const data = {};
+
+    for await (const [time, count] of iter)
+      data[time] = count;
+
+    return wrapData(data, since, bucket);
+  }
+
+  async getDNSStatus(req) {
+    const {dnsIndexer} = this.sdb;
+    const key = Buffer.from(req.params.hostname, 'utf8');
+    const lastStatus = await dnsIndexer.getLastStatus(key);
+
+    if (!lastStatus)
+      throw new HTTPError(404, 'Hostname not found.');
+
+    return {
+      timestamp: Date.now(),
+      isUp: await dnsIndexer.isUp(key),
+      lastUp: await dnsIndexer.getLastUp(key),
+      lastStatus
+    };
+  }
+
+  async getDNSHistory(req) {
+    const {dnsIndexer} = this.sdb;
+    const {hostname} = req.params;
+    const [since, bucket] = parseRange(req.query);
+    const data = {};
+
+    switch (bucket) {
+      case '10m': {
+        const iter = dnsIndexer.getLastStatusesByTime(hostname, since);
+
+        for await (const [time, stat] of iter)
+          data[time] = stat.isSuccessful() ? 1 : 0;
+
+        break;
+      }
+
+      case 'hour': {
+        const iter = dnsIndexer.getHourlyStatusesByTime(hostname, since);
+
+        for await (const [time, stat] of iter)
+          data[time] = stat.toJSON();
+
+        break;
+      }
+
+      case 'day': {
+        const iter = dnsIndexer.getDailyStatusesByTime(hostname, since);
+
+        for await (const [time, stat] of iter)
+          data[time] = stat.toJSON();
+
+        break;
+      }
+    }
+
+    return wrapData(data, since, bucket);
+  }
+
+  /*
+   * Node routes.
+   */
+
+  async getNodesGeneral(req) {
+    const {nodeIndexer} = this.sdb;
+    const upCounts = await nodeIndexer.getUpCounts();
+
+    return {
+      timestamp: Date.now(),
+      upCounts: upCounts.toJSON()
+    };
+  }
+
+  async getNodesOnline(req) {
+    const {nodeIndexer} = this.sdb;
+    const data = [];
+
+    for await (const key of nodeIndexer.getOnlineHostPorts()) {
+      const [host, port] = fromHostPortKey(key);
+      data.push({ host, port });
+    }
+
+    return wrapData(data);
+  }
+
+  async getNodesUpCounts(req) {
+    const {nodeIndexer} = this.sdb;
+    const [since, bucket] = parseRange(req.query);
+
+    let iter;
+
+    switch (bucket) {
+      case '10m':
+        iter = nodeIndexer.get10mUpCountsByTime(since);
+        break;
+      case 'hour':
+        iter = nodeIndexer.getHourlyUpCountsByTime(since);
+        break;
+      case 'day':
+        iter = nodeIndexer.getDailyUpCountsByTime(since);
+        break;
+    }
+
+    const data = {};
+
+    for await (const [time, upCounts] of iter)
+      data[time] = upCounts.toJSON();
+
+    return wrapData(data, since, bucket);
+  }
+
+  async getNodePorts(req) {
+    const {nodeIndexer} = this.sdb;
+    const host = parseHost(req.params.host);
+    const ports = [];
+
+    for await (const port of nodeIndexer.getPorts(host))
+      ports.push(port);
+
+    return wrapData(ports);
+  }
+
+  async getNodeStatus(req) {
+    const {nodeIndexer} = this.sdb;
+    const key = parseHostPort(req.params);
+    const lastStatus = await nodeIndexer.getLastStatus(key);
+
+    if (!lastStatus)
+      throw new HTTPError(404, 'Node not found.');
+
+    return {
+      timestamp: Date.now(),
+      isUp: await nodeIndexer.isUp(key),
+      lastUp: await nodeIndexer.getLastUp(key),
+      lastStatus
+    };
+  }
+
+  async getNodeHistory(req) {
+    const {nodeIndexer} = this.sdb;
+    const key = parseHostPort(req.params);
+    const [since, bucket] = parseRange(req.query);
+
+    let iter;
+
+    switch (bucket) {
+      case '10m':
+        iter = nodeIndexer.getLastStatusesByTime(key, since);
+        break;
+      case 'hour':
+        iter = nodeIndexer.getHourlyStatusesByTime(key, since);
+        break;
+      case 'day':
+        iter = nodeIndexer.getDailyStatusesByTime(key, since);
+        break;
+    }
+
+    const data = {};
+
+    for await (const [time, status] of iter)
+      data[time] = status.toJSON();
+
+    return wrapData(data, since, bucket);
+  }
+}
+
+class ServerOptions {
+  constructor(options) {
+    this.sdb = null;
+    this.host = '127.0.0.1';
+    this.port = 8080;
+
+    this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    assert(options, 'Options are required.');
+    assert(options.sdb, 'StatusDB is required.');
+    this.sdb = options.sdb;
+
+    if (options.host != null) {
+      assert(typeof options.host === 'string');
+      this.host = options.host;
+    }
+
+    if (options.port != null) {
+      assert((options.port & 0xffff) === options.port);
+      this.port = options.port;
+    }
+
+    return this;
+  }
+}
+
+/*
+ * Helpers
+ */
+
+function send(res, code, json) {
+  const body = JSON.stringify(json);
+
+  res.statusCode = code;
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Content-Length', Buffer.byteLength(body));
+  res.end(body);
+}
+
+function decode(str) {
+  try {
+    return decodeURIComponent(str);
+  } catch (e) {
+    throw new HTTPError(400, 'Invalid path.');
+  }
+}
+
+function wrapData(data, since, bucket) {
+  const json = {
+    timestamp: Date.now()
+  };
+
+  if (since != null) {
+    json.since = since;
+    json.bucket = bucket;
+  }
+
+  json.data = data;
+
+  return json;
+}
+
+/**
+ * Parse range and bucket from the query.
+ * `since` takes precedence over `range`, bucket defaults to
+ * the same granularity the generators use for the range.
+ * @param {URLSearchParams} query
+ * @returns {Array} - [since, bucket]
+ */
+
+function parseRange(query) {
+  const now = Date.now();
+  let range = common.DAY;
+  let since = null;
+
+  if (query.has('range')) {
+    const value = query.get('range');
+
+    if (RANGES[value] != null)
+      range = RANGES[value];
+    else
+      range = parseNumber(value, 'range');
+  }
+
+  if (query.has('since'))
+    since = parseNumber(query.get('since'), 'since');
+  else
+    since = Math.max(0, now - range);
+
+  let bucket = 'day';
+
+  if (now - since <= common.DAY)
+    bucket = '10m';
+  else if (now - since <= common.WEEK)
+    bucket = 'hour';
+
+  if (query.has('bucket')) {
+    bucket = query.get('bucket');
+
+    if (!BUCKETS.includes(bucket))
+      throw new HTTPError(400, `Invalid bucket: ${bucket}.`);
+  }
+
+  return [since, bucket];
+}
+
+function parseNumber(value, name) {
+  const num = Number(value);
+
+  if (!Number.isSafeInteger(num) || num < 0)
+    throw new HTTPError(400, `Invalid ${name}: ${value}.`);
+
+  return num;
+}
+
+function parseHost(host) {
+  try {
+    return binet.encode(binet.decode(host));
+  } catch (e) {
+    throw new HTTPError(400, `Invalid host: ${host}.`);
+  }
+}
+
+function parseHostPort(params) {
+  let raw;
+
+  try {
+    raw = binet.decode(params.host);
+  } catch (e) {
+    throw new HTTPError(400, `Invalid host: ${params.host}.`);
+  }
+
+  const port = parseNumber(params.port, 'port');
+
+  if (port > 0xffff)
+    throw new HTTPError(400, `Invalid port: ${params.port}.`);
+
+  const key = Buffer.alloc(16 + 2);
+  raw.copy(key, 0);
+  key.writeUInt16BE(port, 16);
+
+  return key;
+}
+
+function fromHostPortKey(key) {
+  const host = binet.encode(key.slice(0, 16));
+  const port = key.readUInt16BE(16);
+
+  return [host, port];
+}
+
+/*
+ * Expose
+ */
+
+module.exports = StatusServer;
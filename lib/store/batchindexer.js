@@ -0,0 +1,162 @@
+/*!
+ * batchindexer.js - Index entries in batches.
+ * Copyright (c) 2024, Nodari Chkuaselidze (MIT License)
+ * https://github.com/nodech/hsd-nethealth-status
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const EventEmitter = require('node:events');
+
+/** @typedef {import('./statusdb')} StatusDB */
+/** @typedef {import('./dns')} DNSIndexer */
+/** @typedef {import('./node')} NodeIndexer */
+
+/**
+ * Index entries of a single stream, many entries per DB write.
+ * Indexer writes its cursor (last timestamp) with every entry,
+ * so the cursor is stored atomically with the batch.
+ * Streams with different indexers can be indexed concurrently.
+ */
+
+class BatchIndexer extends EventEmitter {
+  /**
+   * @param {StatusDB} sdb
+   * @param {DNSIndexer|NodeIndexer} indexer
+   * @param {Object} [options]
+   * @param {Number} [options.batchSize=1000] - entries per write.
+   * @param {Number} [options.flushInterval=1000] - max ms in the batch.
+   */
+
+  constructor(sdb, indexer, options = {}) {
+    super();
+
+    this.sdb = sdb;
+    this.indexer = indexer;
+    this.batchSize = 1000;
+    this.flushInterval = 1000;
+
+    if (options.batchSize != null) {
+      assert((options.batchSize >>> 0) === options.batchSize);
+      assert(options.batchSize > 0);
+      this.batchSize = options.batchSize;
+    }
+
+    if (options.flushInterval != null) {
+      assert((options.flushInterval >>> 0) === options.flushInterval);
+      this.flushInterval = options.flushInterval;
+    }
+
+    // Indexer reads the entries of the unwritten batch from its caches.
+    assert(indexer.cachesEnabled, 'Indexer caches are required.');
+    assert(this.batchSize <= indexer.cacheSize,
+      'Batch does not fit in the indexer caches.');
+
+    this.batch = null;
+    this.count = 0;
+    this.timer = null;
+    this.locked = Promise.resolve();
+
+    // Total number of written entries.
+    this.indexed = 0;
+  }
+
+  /**
+   * Index entry, writes the batch once it is full.
+   * @param {Object} entry
+   * @returns {Promise}
+   */
+
+  index(entry) {
+    return this.lock(async () => {
+      if (!this.batch) {
+        this.batch = this.sdb.batch();
+        this.startTimer();
+      }
+
+      await this.indexer.index(this.batch, entry);
+      this.count++;
+
+      if (this.count >= this.batchSize)
+        await this._flush();
+    });
+  }
+
+  /**
+   * Write the current batch.
+   * @returns {Promise}
+   */
+
+  flush() {
+    return this.lock(() => this._flush());
+  }
+
+  /**
+   * @private
+   * @returns {Promise}
+   */
+
+  async _flush() {
+    this.stopTimer();
+
+    if (!this.batch)
+      return;
+
+    const {batch, count} = this;
+
+    this.batch = null;
+    this.count = 0;
+
+    await batch.write();
+
+    this.indexed += count;
+    this.emit('flush', count);
+  }
+
+  /**
+   * Run the function after the previous one is done.
+   * @private
+   * @param {Function} fn
+   * @returns {Promise}
+   */
+
+  lock(fn) {
+    const result = this.locked.then(fn);
+    this.locked = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Flush slow streams (e.g. in follow mode) in time.
+   * @private
+   */
+
+  startTimer() {
+    if (this.flushInterval === 0)
+      return;
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush().catch(e => this.emit('error', e));
+    }, this.flushInterval);
+  }
+
+  /**
+   * @private
+   */
+
+  stopTimer() {
+    if (this.timer == null)
+      return;
+
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = BatchIndexer;
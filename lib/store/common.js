@@ -6,6 +6,16 @@
 
 'use strict';
 
+const {DAY, WEEK, MONTH} = require('../common');
+
 const common = exports;
 
 common.STORE_NAME = 'statusdb';
+
+// Default retention of the buckets per granularity.
+common.RETENTION = {
+  '10m': DAY,
+  // Same as the hourly window nodes were indexed with.
+  hour: 2 * WEEK,
+  day: 5 * MONTH
+};
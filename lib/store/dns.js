@@ -7,6 +7,8 @@
 'use strict';
 
 const assert = require('bsert');
+const {BufferMap} = require('buffer-map');
+const LRU = require('blru');
 const {DNSEntry} = require('../entry');
 const {dns} = require('./layout');
 const {TotalOnlineRecord, TimestampRecord} = require('./records');
@@ -16,11 +18,44 @@ const common = require('../common');
 class DNSIndexer {
   constructor(sdb, options = {}) {
     this.sdb = sdb;
-    this.db = sdb.db;
+    this.db = null;
     this.options = options;
-    this.bucket = this.db.bucket(dns.prefix.encode());
+    this.bucket = null;
 
     this.onlinePercentile = options.onlinePercentile || 0.90;
+
+    // Entries of the unwritten batch are only visible through the caches.
+    this.cacheSize = 10000;
+    this.cachesEnabled = true;
+    this.upCount = null;
+    this.isUpCache = new BufferMap();
+
+    this.statusByHourByHostCache = new LRU(this.cacheSize, null, BufferMap);
+    this.upCountHourlyCache = new LRU(this.cacheSize);
+
+    this.statusDayByHostCache = new LRU(this.cacheSize, null, BufferMap);
+    this.upCountDayCache = new LRU(this.cacheSize);
+
+    this.setDB(sdb.db);
+  }
+
+  /**
+   * Use the database, e.g. the refreshed snapshot.
+   * @param {DB} db
+   */
+
+  setDB(db) {
+    this.db = db;
+    this.bucket = db.bucket(dns.prefix.encode());
+  }
+
+  /**
+   * Create batch of the bucket.
+   * @returns {Batch}
+   */
+
+  batch() {
+    return this.sdb.batch().bucket(dns.prefix.encode());
   }
 
   /**
@@ -42,8 +77,6 @@ class DNSIndexer {
 
     await this.indexHourly(batch, entry);
     await this.indexDaily(batch, entry);
-
-    await batch.write();
   }
 
   /*
@@ -198,7 +231,7 @@ class DNSIndexer {
       lt: dns.STATUS_10_BY_HOST.encode(hostkey, before)
     });
 
-    const batch = this.bucket.batch();
+    const batch = this.batch();
     for await (const {key} of iter)
       batch.del(key);
 
@@ -229,12 +262,21 @@ class DNSIndexer {
     // TODO: Maybe clean up old records (e.g. 1 week old).
     batch.put(dns.UP_COUNT_10.encode(min10), newTotal.encode());
 
+    if (this.cachesEnabled)
+      this.upCount = newTotal.total;
+
     if (entry.isSuccessful()) {
+      if (this.cachesEnabled)
+        this.isUpCache.set(entry.key, true);
+
       batch.put(dns.UP.encode(entry.key), null);
       return;
     }
 
     if (entry.isFailed()) {
+      if (this.cachesEnabled)
+        this.isUpCache.set(entry.key, false);
+
       batch.del(dns.UP.encode(entry.key));
       return;
     }
@@ -246,6 +288,9 @@ class DNSIndexer {
    */
 
   async getUpCount() {
+    if (this.cachesEnabled && this.upCount != null)
+      return this.upCount;
+
     const data = await this.bucket.get(dns.UP_COUNT.encode());
 
     if (!data)
@@ -263,6 +308,9 @@ class DNSIndexer {
   async isUp(key) {
     assert(Buffer.isBuffer(key));
 
+    if (this.cachesEnabled && this.isUpCache.has(key))
+      return this.isUpCache.get(key);
+
     const data = await this.bucket.get(dns.UP.encode(key));
 
     if (!data)
@@ -319,7 +367,7 @@ class DNSIndexer {
       lt: dns.UP_COUNT_10.encode(before)
     });
 
-    const batch = this.bucket.batch();
+    const batch = this.batch();
     for await (const {key} of iter)
       batch.del(key);
 
@@ -356,14 +404,7 @@ class DNSIndexer {
   async indexHourly(batch, entry) {
     const min60 = common.floorTime(entry.time, common.HOUR);
     const bucket60key = dns.STATUS_HOUR_BY_HOST.encode(entry.key, min60);
-    const rawStatus60 = await this.bucket.get(bucket60key);
-    let oldStatus60 = null;
-
-    if (!rawStatus60) {
-      oldStatus60 = new DNSBucketStatus(common.HOUR);
-    } else {
-      oldStatus60 = DNSBucketStatus.decode(rawStatus60, common.HOUR);
-    }
+    const oldStatus60 = await this.getHourlyStatusByHost(bucket60key);
 
     const newStatus = oldStatus60.clone();
     newStatus.total += 1;
@@ -380,6 +421,29 @@ class DNSIndexer {
     const newTotal = new TotalOnlineRecord(oldTotal - oldCount + newCount);
 
     batch.put(dns.UP_COUNT_HOUR.encode(min60), newTotal.encode());
+
+    if (this.cachesEnabled) {
+      this.statusByHourByHostCache.set(bucket60key, newStatus);
+      this.upCountHourlyCache.set(min60, newTotal.total);
+    }
+  }
+
+  /**
+   * Get hourly status by host.
+   * @param {Buffer} bucketKey
+   * @returns {Promise<DNSBucketStatus>}
+   */
+
+  async getHourlyStatusByHost(bucketKey) {
+    if (this.cachesEnabled && this.statusByHourByHostCache.has(bucketKey))
+      return this.statusByHourByHostCache.get(bucketKey);
+
+    const data = await this.bucket.get(bucketKey);
+
+    if (!data)
+      return new DNSBucketStatus(common.HOUR);
+
+    return DNSBucketStatus.decode(data, common.HOUR);
   }
 
   /**
@@ -419,7 +483,7 @@ class DNSIndexer {
       lt: dns.STATUS_HOUR_BY_HOST.encode(hostkey, before)
     });
 
-    const batch = this.bucket.batch();
+    const batch = this.batch();
     for await (const {key} of iter)
       batch.del(key);
 
@@ -434,6 +498,10 @@ class DNSIndexer {
 
   async getHourlyUpCount(time) {
     assert(time % common.HOUR === 0);
+
+    if (this.cachesEnabled && this.upCountHourlyCache.has(time))
+      return this.upCountHourlyCache.get(time);
+
     const data = await this.bucket.get(dns.UP_COUNT_HOUR.encode(time));
 
     if (!data)
@@ -474,7 +542,7 @@ class DNSIndexer {
       lt: dns.UP_COUNT_HOUR.encode(before)
     });
 
-    const batch = this.bucket.batch();
+    const batch = this.batch();
     for await (const {key} of iter)
       batch.del(key);
     await batch.write();
@@ -490,14 +558,7 @@ class DNSIndexer {
   async indexDaily(batch, entry) {
     const bucketDay = common.floorTime(entry.time, common.DAY);
     const bucketDayKey = dns.STATUS_DAY_BY_HOST.encode(entry.key, bucketDay);
-    const rawStatusDay = await this.bucket.get(bucketDayKey);
-    let oldStatusDay = null;
-
-    if (!rawStatusDay) {
-      oldStatusDay = new DNSBucketStatus(common.DAY);
-    } else {
-      oldStatusDay = DNSBucketStatus.decode(rawStatusDay, common.DAY);
-    }
+    const oldStatusDay = await this.getDailyStatusByHost(bucketDayKey);
 
     const newStatusDay = oldStatusDay.clone();
     newStatusDay.total += 1;
@@ -513,6 +574,29 @@ class DNSIndexer {
     const newTotal = new TotalOnlineRecord(oldTotal - oldCount + newCount);
 
     batch.put(dns.UP_COUNT_DAY.encode(bucketDay), newTotal.encode());
+
+    if (this.cachesEnabled) {
+      this.statusDayByHostCache.set(bucketDayKey, newStatusDay);
+      this.upCountDayCache.set(bucketDay, newTotal.total);
+    }
+  }
+
+  /**
+   * Get daily status by host.
+   * @param {Buffer} bucketKey
+   * @returns {Promise<DNSBucketStatus>}
+   */
+
+  async getDailyStatusByHost(bucketKey) {
+    if (this.cachesEnabled && this.statusDayByHostCache.has(bucketKey))
+      return this.statusDayByHostCache.get(bucketKey);
+
+    const data = await this.bucket.get(bucketKey);
+
+    if (!data)
+      return new DNSBucketStatus(common.DAY);
+
+    return DNSBucketStatus.decode(data, common.DAY);
   }
 
   /**
@@ -552,7 +636,7 @@ class DNSIndexer {
       lt: dns.STATUS_DAY_BY_HOST.encode(hostkey, before)
     });
 
-    const batch = this.bucket.batch();
+    const batch = this.batch();
     for await (const {key} of iter)
       batch.del(key);
 
@@ -567,6 +651,10 @@ class DNSIndexer {
 
   async getDailyUpCount(time) {
     assert(time % common.DAY === 0);
+
+    if (this.cachesEnabled && this.upCountDayCache.has(time))
+      return this.upCountDayCache.get(time);
+
     const data = await this.bucket.get(dns.UP_COUNT_DAY.encode(time));
 
     if (!data)
@@ -607,7 +695,7 @@ class DNSIndexer {
       lt: dns.UP_COUNT_DAY.encode(before)
     });
 
-    const batch = this.bucket.batch();
+    const batch = this.batch();
     for await (const {key} of iter)
       batch.del(key);
 
@@ -615,25 +703,26 @@ class DNSIndexer {
   }
 
   /**
-   * Clean up stale indexes.
+   * Remove statuses and up counts older than the retention.
+   * @param {Number} now
    * @returns {Promise}
    */
 
-  async cleanupStale() {
-    const cleanUp = async (index) => {
-      const iter = this.bucket.iterator({
-        gte: index.min(),
-        lte: index.max()
-      });
+  async prune(now) {
+    const {sdb} = this;
+    const before10m = sdb.pruneBefore('10m', now);
+    const beforeHour = sdb.pruneBefore('hour', now);
+    const beforeDay = sdb.pruneBefore('day', now);
 
-      const batch = this.bucket.batch();
-      for await (const {key} of iter)
-        batch.del(key);
-    };
+    for await (const hostname of this.getHostnames()) {
+      await this.cleanupLastStatusesByTime(hostname, before10m);
+      await this.cleanupHourlyStatusesByTime(hostname, beforeHour);
+      await this.cleanupDailyStatusesByTime(hostname, beforeDay);
+    }
 
-    await cleanUp(dns.STATUS_10_BY_TIME);
-    await cleanUp(dns.STATUS_HOUR_BY_TIME);
-    await cleanUp(dns.STATUS_DAY_BY_TIME);
+    await this.cleanup10mUpCounts(before10m);
+    await this.cleanupHourlyUpCounts(beforeHour);
+    await this.cleanupDailyUpCounts(beforeDay);
   }
 }
 
@@ -57,17 +57,17 @@ exports.dns = {
 
   // 10 min - hostname, timestamp -> status (on/off)
   STATUS_10_BY_HOST: bdb.key(0x20, [DNS_HOSTNAME, DNS_TIMESTAMP]),
-  // Deprecated
+  // Deprecated, removed by the migration #2.
   STATUS_10_BY_TIME: bdb.key(0x21, [DNS_TIMESTAMP, DNS_HOSTNAME]),
 
   // 1 hour buckets - hostname, timestamp -> {upCount, totalPings}
   STATUS_HOUR_BY_HOST: bdb.key(0x22, [DNS_HOSTNAME, DNS_TIMESTAMP]),
-  // Deprecated
+  // Deprecated, removed by the migration #2.
   STATUS_HOUR_BY_TIME: bdb.key(0x23, [DNS_TIMESTAMP, DNS_HOSTNAME]),
 
   // 1 day buckets - hostname, timestamp -> {upCount, totalPings}
   STATUS_DAY_BY_HOST: bdb.key(0x24, [DNS_HOSTNAME, DNS_TIMESTAMP]),
-  // Deprecated
+  // Deprecated, removed by the migration #2.
   STATUS_DAY_BY_TIME: bdb.key(0x25, [DNS_TIMESTAMP, DNS_HOSTNAME])
 };
 
@@ -100,14 +100,14 @@ exports.nodes = {
 
   // By hostname and timestamp stuff.
   STATUS_10_BY_HOST: bdb.key(0x20, [NODE_HOSTPORT, NODE_TIMESTAMP]),
-  // Deprecated
+  // Deprecated, removed by the migration #2.
   STATUS_10_BY_TIME: bdb.key(0x21, [NODE_TIMESTAMP, NODE_HOSTPORT]),
 
   STATUS_HOUR_BY_HOST: bdb.key(0x22, [NODE_HOSTPORT, NODE_TIMESTAMP]),
-  // Deprecated
+  // Deprecated, removed by the migration #2.
   STATUS_HOUR_BY_TIME: bdb.key(0x23, [NODE_TIMESTAMP, NODE_HOSTPORT]),
 
   STATUS_DAY_BY_HOST: bdb.key(0x24, [NODE_HOSTPORT, NODE_TIMESTAMP]),
-  // Deprecated
+  // Deprecated, removed by the migration #2.
   STATUS_DAY_BY_TIME: bdb.key(0x25, [NODE_TIMESTAMP, NODE_HOSTPORT])
 };
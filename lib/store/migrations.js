@@ -0,0 +1,311 @@
+/*!
+ * migrations.js - StatusDB schema migrations.
+ * Copyright (c) 2024, Nodari Chkuaselidze (MIT License)
+ * https://github.com/nodech/hsd-nethealth-status
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const EventEmitter = require('node:events');
+const layout = require('./layout');
+
+/** @typedef {import('./statusdb')} StatusDB */
+
+// Changes per write.
+const BATCH_SIZE = 10000;
+
+// Changes between the progress events.
+const PROGRESS_INTERVAL = 10000;
+
+/**
+ * Changes of the single migration, written in batches. Dry run
+ * only counts them. Migration can be interrupted between the
+ * batches and run again, so the changes must be idempotent.
+ */
+
+class MigrationBatch {
+  /**
+   * @param {Migrator} migrator
+   * @param {Migration} migration
+   */
+
+  constructor(migrator, migration) {
+    this.migrator = migrator;
+    this.migration = migration;
+    this.db = migrator.sdb.db;
+    this.batch = migrator.dryRun ? null : this.db.batch();
+    this.pending = 0;
+    this.count = 0;
+  }
+
+  /**
+   * @param {Buffer} key
+   * @param {Buffer} value
+   * @returns {Promise}
+   */
+
+  put(key, value) {
+    if (this.batch)
+      this.batch.put(key, value);
+
+    return this.add();
+  }
+
+  /**
+   * @param {Buffer} key
+   * @returns {Promise}
+   */
+
+  del(key) {
+    if (this.batch)
+      this.batch.del(key);
+
+    return this.add();
+  }
+
+  /**
+   * @private
+   * @returns {Promise}
+   */
+
+  async add() {
+    this.count++;
+
+    if (this.count % PROGRESS_INTERVAL === 0)
+      this.migrator.emit('progress', this.migration, this.count);
+
+    if (!this.batch)
+      return;
+
+    if (++this.pending < BATCH_SIZE)
+      return;
+
+    await this.batch.write();
+    this.batch = this.db.batch();
+    this.pending = 0;
+  }
+
+  /**
+   * Write the rest of the changes with the new version.
+   * @returns {Promise}
+   */
+
+  async commit() {
+    if (!this.batch)
+      return;
+
+    this.migrator.writeVersion(this.batch, this.migration.id);
+    await this.batch.write();
+    this.batch = null;
+  }
+}
+
+/**
+ * Migration from the previous version, id is the new version.
+ */
+
+class Migration {
+  constructor() {
+    this.id = 0;
+    this.description = '';
+  }
+
+  /**
+   * @param {StatusDB} sdb
+   * @param {MigrationBatch} b
+   * @returns {Promise}
+   */
+
+  async up(sdb, b) {
+    throw new Error('Not implemented.');
+  }
+
+  /**
+   * Remove all keys of the family.
+   * @param {StatusDB} sdb
+   * @param {MigrationBatch} b
+   * @param {Object} bucket - dns or nodes layout.
+   * @param {Object} family - key of the layout.
+   * @returns {Promise}
+   */
+
+  async dropFamily(sdb, b, bucket, family) {
+    const prefix = bucket.prefix.encode();
+    const id = family.id[0];
+    // Whole id range, whatever the encoding of the rest of the key.
+    const iter = sdb.db.bucket(prefix).iterator({
+      gte: Buffer.from([id]),
+      lt: Buffer.from([id + 1])
+    });
+
+    for await (const {key} of iter)
+      await b.del(Buffer.concat([prefix, key]));
+  }
+}
+
+/**
+ * Remove deprecated *_BY_TIME indexes, these were
+ * cleaned up by the generators before.
+ */
+
+class DropByTimeMigration extends Migration {
+  constructor() {
+    super();
+
+    this.id = 2;
+    this.description = 'remove deprecated *_BY_TIME indexes';
+  }
+
+  async up(sdb, b) {
+    for (const bucket of [layout.dns, layout.nodes]) {
+      await this.dropFamily(sdb, b, bucket, bucket.STATUS_10_BY_TIME);
+      await this.dropFamily(sdb, b, bucket, bucket.STATUS_HOUR_BY_TIME);
+      await this.dropFamily(sdb, b, bucket, bucket.STATUS_DAY_BY_TIME);
+    }
+  }
+}
+
+/**
+ * Migrations in order, version 1 is the initial layout.
+ * @type {Migration[]}
+ */
+
+const migrations = [
+  new DropByTimeMigration()
+];
+
+/**
+ * Migrator brings the database to the latest version.
+ * Emits `migration`, `progress` and `migrated` events.
+ */
+
+class Migrator extends EventEmitter {
+  /**
+   * @param {StatusDB} sdb
+   * @param {Object} [options]
+   * @param {Boolean} [options.dryRun=false] - only count the changes.
+   */
+
+  constructor(sdb, options = {}) {
+    super();
+
+    this.sdb = sdb;
+    this.dryRun = false;
+    this.migrations = migrations;
+
+    if (options.dryRun != null) {
+      assert(typeof options.dryRun === 'boolean');
+      this.dryRun = options.dryRun;
+    }
+  }
+
+  /**
+   * Latest version.
+   * @returns {Number}
+   */
+
+  get version() {
+    return this.migrations[this.migrations.length - 1].id;
+  }
+
+  /**
+   * Get version of the database.
+   * @returns {Promise<Number>} - 0 if the database is new.
+   */
+
+  async getVersion() {
+    const {name} = this.sdb;
+    const data = await this.sdb.db.get(layout.statusDB.VERSION.encode());
+
+    if (!data)
+      return 0;
+
+    if (data.length !== name.length + 4
+        || data.toString('ascii', 0, name.length) !== name) {
+      throw new Error(`Database is not a ${name}.`);
+    }
+
+    return data.readUInt32LE(name.length);
+  }
+
+  /**
+   * @param {Batch} batch
+   * @param {Number} version
+   */
+
+  writeVersion(batch, version) {
+    const {name} = this.sdb;
+    const value = Buffer.alloc(name.length + 4);
+
+    value.write(name, 0, 'ascii');
+    value.writeUInt32LE(version, name.length);
+
+    batch.put(layout.statusDB.VERSION.encode(), value);
+  }
+
+  /**
+   * Check the database is at the latest version, without migrating.
+   * @returns {Promise}
+   */
+
+  async verify() {
+    const version = await this.getVersion();
+
+    // Nothing was written yet.
+    if (version === 0)
+      return;
+
+    if (version !== this.version) {
+      throw new Error(`Database version ${version} needs migration `
+        + `to ${this.version}, run bin/migrate-statusdb.`);
+    }
+  }
+
+  /**
+   * Run the pending migrations.
+   * @returns {Promise<Migration[]>} - migrations that were run.
+   */
+
+  async migrate() {
+    const version = await this.getVersion();
+
+    // New database has the latest layout.
+    if (version === 0) {
+      if (!this.dryRun) {
+        const batch = this.sdb.db.batch();
+        this.writeVersion(batch, this.version);
+        await batch.write();
+      }
+
+      return [];
+    }
+
+    if (version > this.version) {
+      throw new Error(`Database version ${version} is newer than `
+        + `supported ${this.version}.`);
+    }
+
+    const pending = this.migrations.filter(m => m.id > version);
+
+    for (const migration of pending) {
+      const b = new MigrationBatch(this, migration);
+
+      this.emit('migration', migration);
+      await migration.up(this.sdb, b);
+      await b.commit();
+      this.emit('migrated', migration, b.count);
+    }
+
+    return pending;
+  }
+}
+
+/*
+ * Expose
+ */
+
+exports.MigrationBatch = MigrationBatch;
+exports.Migration = Migration;
+exports.Migrator = Migrator;
+exports.migrations = migrations;
@@ -18,36 +18,47 @@ const common = require('../common');
 class NodeIndexer {
   constructor(sdb, options = {}) {
     this.sdb = sdb;
-    this.db = sdb.db;
+    this.db = null;
     this.options = options;
-    this.bucket = this.db.bucket(nodes.prefix.encode());
-
-    this.batcher = null;
+    this.bucket = null;
 
     this.onlinePercentile = options.onlinePercentile || 0.90;
 
+    // Entries of the unwritten batch are only visible through the caches.
+    this.cacheSize = 10000;
     this.cachesEnabled = true;
-    this.lastUpCache = new LRU(10000, null, BufferMap);
+    this.lastUpCache = new LRU(this.cacheSize, null, BufferMap);
     this.upCounts = null;
     this.isUpCache = new BufferMap();
 
     this.hourlyCacheEnabled = true;
-    this.statusByHourByHostCache = new LRU(10000, null, BufferMap);
-    this.upCountsHourlyCache = new LRU(10000);
+    this.statusByHourByHostCache = new LRU(this.cacheSize, null, BufferMap);
+    this.upCountsHourlyCache = new LRU(this.cacheSize);
 
     this.dailyCacheEnabled = true;
-    this.statusDayByHostCache = new LRU(10000, null, BufferMap);
-    this.upCountsDayCache = new LRU(10000);
+    this.statusDayByHostCache = new LRU(this.cacheSize, null, BufferMap);
+    this.upCountsDayCache = new LRU(this.cacheSize);
+
+    this.setDB(sdb.db);
   }
 
   /**
-   * Initialize the indexer.
+   * Use the database, e.g. the refreshed snapshot.
+   * @param {DB} db
    */
 
-  init() {
-    this.batcher = new Batcher({
-      createBatch: () => this.bucket.batch()
-    });
+  setDB(db) {
+    this.db = db;
+    this.bucket = db.bucket(nodes.prefix.encode());
+  }
+
+  /**
+   * Create batch of the bucket.
+   * @returns {Batch}
+   */
+
+  batch() {
+    return this.sdb.batch().bucket(nodes.prefix.encode());
   }
 
   /**
@@ -60,14 +71,15 @@ class NodeIndexer {
     assert(entry instanceof NodeEntry);
 
     batch = batch.bucket(nodes.prefix.encode());
+    // Entries that would be pruned right away are not indexed.
     const now = Date.now();
-    const dayAgo = now - common.DAY;
-    const weeksAgo2 = now - 2 * common.WEEK;
+    const before10m = this.sdb.pruneBefore('10m', now);
+    const beforeHour = this.sdb.pruneBefore('hour', now);
 
     await this.indexTimestamp(batch, entry);
     await this.indexPort(batch, entry);
 
-    if (entry.logTimestamp > dayAgo) {
+    if (entry.logTimestamp > before10m) {
       await this.indexUpCounts(batch, entry);
       // order matters for cache.
       await this.indexUp(batch, entry);
@@ -77,7 +89,7 @@ class NodeIndexer {
     await this.indexLastUp(batch, entry);
     await this.indexLastStatus(batch, entry);
 
-    if (entry.logTimestamp > weeksAgo2) {
+    if (entry.logTimestamp > beforeHour) {
       await this.indexHourly(batch, entry);
     }
 
@@ -85,8 +97,6 @@ class NodeIndexer {
 
     // await this.cleanup10mUpCounts(batch, entry);
     // ...
-
-    await batch.write();
   }
 
   /**
@@ -261,20 +271,21 @@ class NodeIndexer {
    * Clean up last statuses by time.
    * @param {Buffer} hostport
    * @param {Number} before
+   * @param {Batcher} batcher
    * @returns {Promise}
    */
 
-  async cleanupLastStatusesByTime(hostport, before) {
+  async cleanupLastStatusesByTime(hostport, before, batcher) {
     const iter = this.bucket.iterator({
       gte: nodes.STATUS_10_BY_HOST.min(hostport),
       lt: nodes.STATUS_10_BY_HOST.encode(hostport, before)
     });
 
     for await (const {key} of iter) {
-      await this.batcher.do(batch => batch.del(key));
+      await batcher.do(batch => batch.del(key));
     }
 
-    await this.batcher.done();
+    await batcher.done();
   }
 
   /**
@@ -408,20 +419,21 @@ class NodeIndexer {
   /**
    * Clean up 10 minute UP counts by time.
    * @param {Number} before
+   * @param {Batcher} batcher
    * @returns {Promise}
    */
 
-  async cleanup10mUpCounts(before) {
+  async cleanup10mUpCounts(before, batcher) {
     const iter = this.bucket.iterator({
       gte: nodes.UP_COUNTS_10.min(),
       lt: nodes.UP_COUNTS_10.encode(before)
     });
 
     for await (const {key} of iter) {
-      await this.batcher.do(batch => batch.del(key));
+      await batcher.do(batch => batch.del(key));
     }
 
-    await this.batcher.done();
+    await batcher.done();
   }
 
   /**
@@ -547,20 +559,21 @@ class NodeIndexer {
    * Clean up hourly statuses by time.
    * @param {Buffer} hostport
    * @param {Number} before
+   * @param {Batcher} batcher
    * @returns {Promise}
    */
 
-  async cleanupHourlyStatusesByTime(hostport, before) {
+  async cleanupHourlyStatusesByTime(hostport, before, batcher) {
     const iter = this.bucket.iterator({
       gte: nodes.STATUS_HOUR_BY_HOST.min(hostport),
       lt: nodes.STATUS_HOUR_BY_HOST.encode(hostport, before)
     });
 
     for await (const {key} of iter) {
-      await this.batcher.do(batch => batch.del(key));
+      await batcher.do(batch => batch.del(key));
     }
 
-    await this.batcher.done();
+    await batcher.done();
   }
 
   /**
@@ -586,20 +599,21 @@ class NodeIndexer {
   /**
    * Clean up hourly up counts by time.
    * @param {Number} before
+   * @param {Batcher} batcher
    * @returns {Promise}
    */
 
-  async cleanupHourlyUpCounts(before) {
+  async cleanupHourlyUpCounts(before, batcher) {
     const iter = this.bucket.iterator({
       gte: nodes.UP_COUNTS_HOUR.min(),
       lt: nodes.UP_COUNTS_HOUR.encode(before)
     });
 
     for await (const {key} of iter) {
-      await this.batcher.do(batch => batch.del(key));
+      await batcher.do(batch => batch.del(key));
     }
 
-    await this.batcher.done();
+    await batcher.done();
   }
 
   /**
@@ -708,20 +722,21 @@ class NodeIndexer {
    * Clean up daily statuses by time.
    * @param {Buffer} key
    * @param {Number} before
+   * @param {Batcher} batcher
    * @returns {Promise}
    */
 
-  async cleanupDailyStatusesByTime(key, before) {
+  async cleanupDailyStatusesByTime(key, before, batcher) {
     const iter = this.bucket.iterator({
       gte: nodes.STATUS_DAY_BY_HOST.min(key),
       lt: nodes.STATUS_DAY_BY_HOST.encode(key, before)
     });
 
     for await (const {key} of iter) {
-      await this.batcher.do(batch => batch.del(key));
+      await batcher.do(batch => batch.del(key));
     }
 
-    await this.batcher.done();
+    await batcher.done();
   }
 
   /**
@@ -747,44 +762,49 @@ class NodeIndexer {
   /**
    * Clean up daily up counts by time.
    * @param {Number} before
+   * @param {Batcher} batcher
    * @returns {Promise}
    */
 
-  async cleanupDailyUpCounts(before) {
+  async cleanupDailyUpCounts(before, batcher) {
     const iter = this.bucket.iterator({
       gte: nodes.UP_COUNTS_DAY.min(),
       lt: nodes.UP_COUNTS_DAY.encode(before)
     });
 
     for await (const {key} of iter) {
-      await this.batcher.do(batch => batch.del(key));
+      await batcher.do(batch => batch.del(key));
     }
 
-    await this.batcher.done();
+    await batcher.done();
   }
 
   /**
-   * Clean up stale indexes.
+   * Remove statuses and up counts older than the retention.
+   * @param {Number} now
    * @returns {Promise}
    */
 
-  async cleanupStale() {
-    const cleanUp = async (index) => {
-      const iter = this.bucket.iterator({
-        gte: index.min(),
-        lte: index.max()
-      });
+  async prune(now) {
+    const {sdb} = this;
+    const before10m = sdb.pruneBefore('10m', now);
+    const beforeHour = sdb.pruneBefore('hour', now);
+    const beforeDay = sdb.pruneBefore('day', now);
 
-      for await (const {key} of iter) {
-        await this.batcher.do(batch => batch.del(key));
-      }
+    // Own batch, so concurrent prunes do not write each other's deletes.
+    const batcher = new Batcher({
+      createBatch: () => this.batch()
+    });
 
-      await this.batcher.done();
-    };
+    for await (const hostport of this.getHostPorts()) {
+      await this.cleanupLastStatusesByTime(hostport, before10m, batcher);
+      await this.cleanupHourlyStatusesByTime(hostport, beforeHour, batcher);
+      await this.cleanupDailyStatusesByTime(hostport, beforeDay, batcher);
+    }
 
-    await cleanUp(nodes.STATUS_10_BY_TIME);
-    await cleanUp(nodes.STATUS_HOUR_BY_TIME);
-    await cleanUp(nodes.STATUS_DAY_BY_TIME);
+    await this.cleanup10mUpCounts(before10m, batcher);
+    await this.cleanupHourlyUpCounts(beforeHour, batcher);
+    await this.cleanupDailyUpCounts(beforeDay, batcher);
   }
 }
 
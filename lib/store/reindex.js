@@ -0,0 +1,382 @@
+/*!
+ * reindex.js - Rebuild StatusDB indexes into a fresh database.
+ * Copyright (c) 2024, Nodari Chkuaselidze (MIT License)
+ * https://github.com/nodech/hsd-nethealth-status
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const path = require('node:path');
+const bfs = require('bfile');
+const LockFile = require('../log/lockfile');
+const StatusDB = require('./statusdb');
+const layout = require('./layout');
+
+/** @typedef {import('./dns')} DNSIndexer */
+/** @typedef {import('./node')} NodeIndexer */
+
+const INDEXERS = ['dns', 'nodes'];
+
+// Keys per write, when merging the databases.
+const MERGE_BATCH = 10000;
+
+/**
+ * Reindex builds the selected indexers in a fresh database next
+ * to the current one, which stays untouched and usable until the
+ * swap. When only some key families are rebuilt, the rest of
+ * the keys (including the cursor) come from the current database,
+ * so the families must not be indexed past the current cursor.
+ * Writers (bin/logger --index, bin/load) may run during the
+ * rebuild, but must be stopped before the swap, which locks and
+ * replaces the current database. Read-only users open snapshots
+ * and are not affected.
+ */
+
+class Reindex {
+  /**
+   * @param {Object} options
+   * @param {String} [options.prefix]
+   * @param {String} [options.location] - current database.
+   * @param {String[]} [options.indexers] - dns and/or nodes.
+   * @param {String[]} [options.families] - key names, e.g.
+   *   STATUS_HOUR_BY_HOST, all of them by default.
+   */
+
+  constructor(options = {}) {
+    this.current = new StatusDB({
+      prefix: options.prefix,
+      location: options.location
+    });
+
+    const {location} = this.current.options;
+
+    this.location = location;
+    this.oldLocation = location + '.old';
+    this.fresh = new StatusDB({
+      prefix: options.prefix,
+      location: location + '.reindex'
+    });
+
+    // Only one reindex at a time may use the fresh database.
+    this.lockFile = new LockFile(bfs, path.dirname(location), 'reindex.lock');
+
+    this.indexers = INDEXERS.slice();
+    this.families = [];
+
+    if (options.indexers != null) {
+      assert(Array.isArray(options.indexers));
+      assert(options.indexers.length > 0, 'No indexers selected.');
+
+      for (const name of options.indexers) {
+        if (!INDEXERS.includes(name))
+          throw new Error(`Unknown indexer: ${name}.`);
+      }
+
+      this.indexers = options.indexers;
+    }
+
+    if (options.families != null) {
+      assert(Array.isArray(options.families));
+
+      for (const family of options.families)
+        this.checkFamily(family);
+
+      this.families = options.families;
+    }
+  }
+
+  /**
+   * Whether only some key families are rebuilt.
+   * @returns {Boolean}
+   */
+
+  get partial() {
+    return this.families.length > 0;
+  }
+
+  /**
+   * @private
+   * @param {String} family
+   */
+
+  checkFamily(family) {
+    if (family === 'prefix' || family === 'LAST_TIMESTAMP')
+      throw new Error(`Can not rebuild ${family} separately.`);
+
+    for (const name of this.indexers) {
+      if (!layout[name][family]) {
+        throw new Error(`Unknown ${name} key family: ${family}, `
+          + 'select the indexers with the family.');
+      }
+    }
+  }
+
+  /**
+   * Lock the reindex and open the empty fresh database.
+   * @returns {Promise}
+   */
+
+  async open() {
+    await this.current.ensure();
+    await this.lockFile.open();
+
+    try {
+      await this.recover();
+
+      // Leftover of the interrupted reindex.
+      await bfs.remove(this.fresh.options.location);
+      await this.fresh.open();
+    } catch (e) {
+      await this.lockFile.close();
+      throw e;
+    }
+  }
+
+  /**
+   * Close and remove the fresh database, if it was not swapped in.
+   * @returns {Promise}
+   */
+
+  async close() {
+    if (this.fresh.db.loaded)
+      await this.fresh.close();
+
+    await bfs.remove(this.fresh.options.location);
+
+    await this.lockFile.close();
+  }
+
+  /**
+   * Finish the swap, interrupted between the renames.
+   * @private
+   * @returns {Promise}
+   */
+
+  async recover() {
+    if (!await bfs.exists(this.oldLocation))
+      return;
+
+    if (await bfs.exists(this.location))
+      await bfs.remove(this.oldLocation);
+    else
+      await bfs.rename(this.oldLocation, this.location);
+  }
+
+  /**
+   * Get indexer of the database by name.
+   * @param {StatusDB} sdb
+   * @param {String} name - dns or nodes.
+   * @returns {DNSIndexer|NodeIndexer}
+   */
+
+  getIndexer(sdb, name) {
+    assert(INDEXERS.includes(name));
+
+    if (name === 'dns')
+      return sdb.dnsIndexer;
+
+    return sdb.nodeIndexer;
+  }
+
+  /**
+   * Get cursors of the selected indexers in the current database.
+   * @returns {Promise<Object>} - indexer name -> next timestamp.
+   */
+
+  async getCursors() {
+    // Writers may be running until the swap.
+    const sdb = new StatusDB({
+      location: this.location,
+      readOnly: true
+    });
+
+    await sdb.open();
+
+    try {
+      return await this.readCursors(sdb);
+    } finally {
+      await sdb.close();
+    }
+  }
+
+  /**
+   * @private
+   * @param {StatusDB} sdb
+   * @returns {Promise<Object>}
+   */
+
+  async readCursors(sdb) {
+    const cursors = {};
+
+    for (const name of this.indexers)
+      cursors[name] = await this.getIndexer(sdb, name).getLastTimestamp();
+
+    return cursors;
+  }
+
+  /**
+   * Key ranges taken from the fresh database.
+   * @private
+   * @returns {Buffer[][]} - [gte, lt] pairs.
+   */
+
+  getRanges() {
+    const ranges = [];
+
+    for (const name of this.indexers) {
+      const prefix = layout[name].prefix.id[0];
+
+      if (!this.partial) {
+        ranges.push([Buffer.from([prefix]), Buffer.from([prefix + 1])]);
+        continue;
+      }
+
+      for (const family of this.families) {
+        const id = layout[name][family].id[0];
+
+        ranges.push([
+          Buffer.from([prefix, id]),
+          Buffer.from([prefix, id + 1])
+        ]);
+      }
+    }
+
+    return ranges;
+  }
+
+  /**
+   * Get the writer holding the current database.
+   * @returns {Promise<String?>} - null if it is not locked.
+   */
+
+  async getWriter() {
+    const lock = await this.current.lockFile.inspect();
+
+    // LockFile takes over the stale locks.
+    if (!lock || lock.stale || lock.alive === false)
+      return null;
+
+    if (!lock.info)
+      return `unknown process, lock file ${lock.file}`;
+
+    return LockFile.format(lock.info);
+  }
+
+  /**
+   * Replace the current database with the fresh one. Current database
+   * is locked during the swap, `catchUp` gets its cursors to index
+   * the entries, indexed to it since the rebuild, into the fresh one.
+   * Writers of the current database must be stopped.
+   * @param {Function} [catchUp] - cursors -> Promise.
+   * @returns {Promise}
+   */
+
+  async swap(catchUp) {
+    const {current, fresh} = this;
+    const writer = await this.getWriter();
+
+    if (writer) {
+      throw new Error(`StatusDB is used by ${writer}, `
+        + 'stop the writers before the swap.');
+    }
+
+    await current.open();
+
+    try {
+      if (catchUp)
+        await catchUp(await this.readCursors(current));
+
+      await this.merge();
+    } catch (e) {
+      await current.close();
+      throw e;
+    }
+
+    // Keep the lock, nobody may open the database between the renames.
+    await current.db.close();
+
+    try {
+      await fresh.close();
+      await this.replace();
+    } finally {
+      await current.lockFile.close();
+    }
+  }
+
+  /**
+   * Copy the keys that are not rebuilt from the current database.
+   * @private
+   * @returns {Promise}
+   */
+
+  async merge() {
+    const ranges = this.getRanges();
+    const rebuilt = key => ranges.some(([gte, lt]) => {
+      return key.compare(gte) >= 0 && key.compare(lt) < 0;
+    });
+
+    let batch = this.fresh.db.batch();
+    let count = 0;
+
+    const commit = async () => {
+      if (++count % MERGE_BATCH !== 0)
+        return;
+
+      await batch.write();
+      batch = this.fresh.db.batch();
+    };
+
+    // Fresh indexers build all families, drop the unselected ones.
+    if (this.partial) {
+      for (const name of this.indexers) {
+        const prefix = layout[name].prefix.id[0];
+        const iter = this.fresh.db.iterator({
+          gte: Buffer.from([prefix]),
+          lt: Buffer.from([prefix + 1])
+        });
+
+        await iter.each(async (key) => {
+          if (rebuilt(key))
+            return;
+
+          batch.del(key);
+          await commit();
+        });
+      }
+    }
+
+    const iter = this.current.db.iterator({ values: true });
+
+    await iter.each(async (key, value) => {
+      if (rebuilt(key))
+        return;
+
+      batch.put(key, value);
+      await commit();
+    });
+
+    await batch.write();
+  }
+
+  /**
+   * Rename the fresh database into place.
+   * @private
+   * @returns {Promise}
+   */
+
+  async replace() {
+    // Renames are atomic, but there are two of them, see recover.
+    if (await bfs.exists(this.location))
+      await bfs.rename(this.location, this.oldLocation);
+
+    await bfs.rename(this.fresh.options.location, this.location);
+    await bfs.remove(this.oldLocation);
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = Reindex;
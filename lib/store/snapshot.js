@@ -0,0 +1,155 @@
+/*!
+ * snapshot.js - Read-only copies of the StatusDB.
+ * Copyright (c) 2024, Nodari Chkuaselidze (MIT License)
+ * https://github.com/nodech/hsd-nethealth-status
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const path = require('node:path');
+const os = require('node:os');
+const bfs = require('bfile');
+const LockFile = require('../log/lockfile');
+
+/*
+ * LevelDB only adds and removes the table files, these are hard
+ * linked. The rest is copied. Writer appends the version edit to
+ * the MANIFEST on every flush and compaction, so the copy is
+ * consistent if the MANIFEST did not change during it. Writes
+ * to the log are not version edits, the torn record at its end
+ * is dropped by the recovery of the copy.
+ */
+
+const snapshot = exports;
+
+// Copies before giving up, while the writer is compacting.
+snapshot.ATTEMPTS = 10;
+
+const TABLE_REGEX = /\.(?:ldb|sst)$/;
+const SNAPSHOT_REGEX = /^(?<pid>\d+)-\d+$/;
+
+/**
+ * Get the directory of the snapshots.
+ * @param {String} location - database.
+ * @returns {String}
+ */
+
+snapshot.getPrefix = function getPrefix(location) {
+  return location + '.snapshots';
+};
+
+/**
+ * Get the location of the snapshot of the current process.
+ * @param {String} location - database.
+ * @param {Number} id
+ * @returns {String}
+ */
+
+snapshot.getLocation = function getLocation(location, id) {
+  assert((id >>> 0) === id);
+  return path.join(snapshot.getPrefix(location), `${process.pid}-${id}`);
+};
+
+/**
+ * Copy the database into the snapshot location.
+ * @param {String} location - database.
+ * @param {String} dest - snapshot location.
+ * @returns {Promise}
+ */
+
+snapshot.create = async function create(location, dest) {
+  for (let i = 0; i < snapshot.ATTEMPTS; i++) {
+    await bfs.remove(dest);
+
+    try {
+      if (await copy(location, dest))
+        return;
+    } catch (e) {
+      // Removed by the compaction during the copy.
+      if (e.code !== 'ENOENT')
+        throw e;
+    }
+  }
+
+  await bfs.remove(dest);
+
+  throw new Error(`Could not snapshot ${location} after `
+    + `${snapshot.ATTEMPTS} attempts, it changes too often.`);
+};
+
+/**
+ * Remove the snapshots left by the processes that are not running.
+ * @param {String} location - database.
+ * @returns {Promise}
+ */
+
+snapshot.cleanup = async function cleanup(location) {
+  const prefix = snapshot.getPrefix(location);
+
+  if (!await bfs.exists(prefix))
+    return;
+
+  for (const name of await bfs.readdir(prefix)) {
+    const match = name.match(SNAPSHOT_REGEX);
+
+    if (!match)
+      continue;
+
+    const pid = Number(match.groups.pid);
+
+    if (pid === process.pid)
+      continue;
+
+    if (LockFile.isAlive({ pid, hostname: os.hostname() }))
+      continue;
+
+    await bfs.remove(path.join(prefix, name));
+  }
+};
+
+/**
+ * @param {String} location
+ * @returns {Promise<Object>}
+ */
+
+async function getManifest(location) {
+  const current = await bfs.readFile(path.join(location, 'CURRENT'), 'utf8');
+  const name = current.trim();
+  const stat = await bfs.stat(path.join(location, name));
+
+  return {
+    name,
+    size: stat.size
+  };
+}
+
+/**
+ * @param {String} location
+ * @param {String} dest
+ * @returns {Promise<Boolean>} - whether the copy is consistent.
+ */
+
+async function copy(location, dest) {
+  await bfs.mkdirp(dest);
+
+  const before = await getManifest(location);
+
+  for (const name of await bfs.readdir(location)) {
+    // Lock and the info log of the writer.
+    if (name === 'LOCK' || name.startsWith('LOG'))
+      continue;
+
+    const from = path.join(location, name);
+    const to = path.join(dest, name);
+
+    if (TABLE_REGEX.test(name))
+      await bfs.link(from, to);
+    else
+      await bfs.copyFile(from, to);
+  }
+
+  const after = await getManifest(location);
+
+  return before.name === after.name && before.size === after.size;
+}
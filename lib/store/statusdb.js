@@ -12,13 +12,16 @@ const os = require('node:os');
 const EventEmitter = require('node:events');
 const bfs = require('bfile');
 const bdb = require('bdb');
+const LockFile = require('../log/lockfile');
 const DNSIndexer = require('./dns');
 const NodeIndexer = require('./node');
-
-const {statusDB} = require('./layout');
+const {Migrator} = require('./migrations');
+const snapshot = require('./snapshot');
+const {parseDuration} = require('../common');
 
 const {
-  STORE_NAME
+  STORE_NAME,
+  RETENTION
 } = require('./common');
 
 class StatusDB extends EventEmitter {
@@ -26,25 +29,154 @@ class StatusDB extends EventEmitter {
     super();
 
     this.options = new StatusDBOptions(options);
-    this.db = bdb.create(this.options);
 
-    this.version = 1;
+    // Read-only database is opened from the snapshot.
+    this.snapshots = this.options.readOnly && !this.options.memory;
+    this.snapshotID = 0;
+    this.previous = null;
+    this.refreshTimer = null;
+    this.refreshing = null;
+
+    this.db = this.createDB();
+    // Next to the database, LevelDB has its own LOCK file.
+    this.lockFile = new LockFile(bfs,
+      path.dirname(this.options.location),
+      path.basename(this.options.location) + '.lock');
+
     this.name = 'statusdb';
+    this.migrator = new Migrator(this, {
+      dryRun: this.options.dryRun
+    });
+    this.version = this.migrator.version;
 
     this.dnsIndexer = new DNSIndexer(this);
     this.nodeIndexer = new NodeIndexer(this);
+
+    this.pruneTimer = null;
+    this.pruning = null;
+
+    this.init();
+  }
+
+  /**
+   * Initialize events.
+   * @private
+   */
+
+  init() {
+    this.migrator.on('migration', (migration) => {
+      this.emit('migration', migration);
+    });
+
+    this.migrator.on('progress', (migration, count) => {
+      this.emit('migration progress', migration, count);
+    });
+
+    this.migrator.on('migrated', (migration, count) => {
+      this.emit('migrated', migration, count);
+    });
+  }
+
+  /**
+   * Create database, read-only one at the next snapshot location.
+   * @private
+   * @returns {DB}
+   */
+
+  createDB() {
+    if (!this.snapshots) {
+      return bdb.create({
+        ...this.options,
+        createIfMissing: !this.options.readOnly
+      });
+    }
+
+    return bdb.create({
+      ...this.options,
+      location: snapshot.getLocation(this.options.location, this.snapshotID++),
+      createIfMissing: false
+    });
   }
 
   /**
-   * Open database.
+   * Whether the database is available.
+   * @returns {Promise<Boolean>}
+   */
+
+  async exists() {
+    if (this.options.memory)
+      return true;
+
+    return bfs.exists(this.options.location);
+  }
+
+  /**
+   * Open database and run the pending migrations.
    * @returns {Promise}
    */
 
   async open() {
-    await this.ensure();
-    await this.db.open();
+    if (this.options.readOnly) {
+      if (!await this.exists())
+        throw new Error(`StatusDB not found: ${this.options.location}.`);
+    } else {
+      await this.ensure();
+    }
+
+    if (this.snapshots) {
+      await this.openSnapshot();
+
+      if (this.options.refreshInterval > 0)
+        this.startRefresh();
+
+      return;
+    }
+
+    if (!this.options.memory)
+      await this.lockFile.open();
+
+    try {
+      await this.db.open();
+    } catch (e) {
+      if (!this.options.memory)
+        await this.lockFile.close();
+
+      throw e;
+    }
+
+    try {
+      if (this.options.readOnly)
+        await this.migrator.verify();
+      else
+        await this.migrator.migrate();
+    } catch (e) {
+      await this.close();
+      throw e;
+    }
+
+    if (!this.options.readOnly && this.options.pruneInterval > 0)
+      this.startPruning();
+  }
+
+  /**
+   * Snapshot the database and open it, without the lock.
+   * @private
+   * @returns {Promise}
+   */
+
+  async openSnapshot() {
+    const {location} = this.options;
 
-    await this.db.verify(statusDB.VERSION.encode(), this.name, this.version);
+    await snapshot.cleanup(location);
+    await snapshot.create(location, this.db.location);
+
+    try {
+      await this.db.open();
+      await this.migrator.verify();
+    } catch (e) {
+      await this.closeDB(this.db);
+      throw e;
+    }
   }
 
   /**
@@ -53,7 +185,120 @@ class StatusDB extends EventEmitter {
    */
 
   async close() {
+    this.stopPruning();
+    this.stopRefresh();
+
+    if (this.pruning)
+      await this.pruning;
+
+    if (this.refreshing)
+      await this.refreshing;
+
+    if (this.snapshots) {
+      if (this.previous) {
+        await this.closeDB(this.previous);
+        this.previous = null;
+      }
+
+      await this.closeDB(this.db);
+      return;
+    }
+
     await this.db.close();
+
+    if (!this.options.memory)
+      await this.lockFile.close();
+  }
+
+  /**
+   * Close and remove the snapshot.
+   * @private
+   * @param {DB} db
+   * @returns {Promise}
+   */
+
+  async closeDB(db) {
+    if (db.loaded)
+      await db.close();
+
+    await bfs.remove(db.location);
+  }
+
+  /**
+   * Open the new snapshot, reads in progress finish
+   * on the previous one, it is closed on the next refresh.
+   * Emits `refresh` with the duration.
+   * @returns {Promise}
+   */
+
+  async refresh() {
+    assert(this.snapshots, 'Only read-only StatusDB is refreshed.');
+
+    const start = Date.now();
+    const db = this.createDB();
+
+    await snapshot.create(this.options.location, db.location);
+
+    try {
+      await db.open();
+    } catch (e) {
+      await this.closeDB(db);
+      throw e;
+    }
+
+    if (this.previous)
+      await this.closeDB(this.previous);
+
+    this.previous = this.db;
+    this.setDB(db);
+
+    this.emit('refresh', Date.now() - start);
+  }
+
+  /**
+   * @private
+   * @param {DB} db
+   */
+
+  setDB(db) {
+    this.db = db;
+    this.dnsIndexer.setDB(db);
+    this.nodeIndexer.setDB(db);
+  }
+
+  /**
+   * Refresh the snapshot in the background.
+   * @private
+   */
+
+  startRefresh() {
+    assert(this.refreshTimer == null);
+
+    this.refreshTimer = setInterval(() => {
+      if (this.refreshing)
+        return;
+
+      this.refreshing = this.refresh().catch((err) => {
+        this.emit('error', err);
+      }).finally(() => {
+        this.refreshing = null;
+      });
+    }, this.options.refreshInterval);
+
+    if (this.refreshTimer.unref)
+      this.refreshTimer.unref();
+  }
+
+  /**
+   * @private
+   */
+
+  stopRefresh() {
+    if (this.refreshTimer == null)
+      return;
+
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
   }
 
   /**
@@ -69,6 +314,18 @@ class StatusDB extends EventEmitter {
       await bfs.mkdirp(this.options.prefix, 0o755);
   }
 
+  /**
+   * Create batch, database must be writable.
+   * @returns {Batch}
+   */
+
+  batch() {
+    if (this.options.readOnly)
+      throw new Error('StatusDB is read-only.');
+
+    return this.db.batch();
+  }
+
   /**
    * Index DNS entry.
    * @param {DNSEntry} entry
@@ -76,7 +333,7 @@ class StatusDB extends EventEmitter {
    */
 
   async indexDNS(entry) {
-    const batch = this.db.batch();
+    const batch = this.batch();
     await this.dnsIndexer.index(batch, entry);
     return batch.write();
   }
@@ -88,10 +345,88 @@ class StatusDB extends EventEmitter {
    */
 
   async indexNode(entry) {
-    const batch = this.db.batch();
+    const batch = this.batch();
     await this.nodeIndexer.index(batch, entry);
     return batch.write();
   }
+
+  /**
+   * Get time before which the buckets are pruned.
+   * @param {String} granularity - 10m, hour or day.
+   * @param {Number} now
+   * @returns {Number} - 0 if the buckets are kept.
+   */
+
+  pruneBefore(granularity, now) {
+    const retention = this.options.retention[granularity];
+
+    assert(retention != null, `Unknown granularity: ${granularity}.`);
+
+    if (retention === 0)
+      return 0;
+
+    return Math.max(0, now - retention);
+  }
+
+  /**
+   * Remove the data older than the retention.
+   * @param {Number} [now=Date.now()]
+   * @returns {Promise}
+   */
+
+  async prune(now = Date.now()) {
+    await this.dnsIndexer.prune(now);
+    await this.nodeIndexer.prune(now);
+  }
+
+  /**
+   * Prune in the background, while indexing.
+   * @private
+   */
+
+  startPruning() {
+    assert(this.pruneTimer == null);
+
+    this.pruneTimer = setInterval(() => {
+      this.backgroundPrune();
+    }, this.options.pruneInterval);
+
+    if (this.pruneTimer.unref)
+      this.pruneTimer.unref();
+  }
+
+  /**
+   * @private
+   */
+
+  stopPruning() {
+    if (this.pruneTimer == null)
+      return;
+
+    clearInterval(this.pruneTimer);
+    this.pruneTimer = null;
+  }
+
+  /**
+   * Prune, unless the previous one is still running.
+   * Emits `prune` with the duration or `error`.
+   * @private
+   */
+
+  backgroundPrune() {
+    if (this.pruning)
+      return;
+
+    const start = Date.now();
+
+    this.pruning = this.prune(start).then(() => {
+      this.emit('prune', Date.now() - start);
+    }, (err) => {
+      this.emit('error', err);
+    }).finally(() => {
+      this.pruning = null;
+    });
+  }
 }
 
 class StatusDBOptions {
@@ -99,6 +434,18 @@ class StatusDBOptions {
     this.prefix = path.join(os.tmpdir(), 'hsd-nethealth');
     this.location = path.join(this.prefix, STORE_NAME);
     this.memory = false;
+    // Only count the changes of the pending migrations.
+    this.dryRun = false;
+    // Never write, e.g. for the generators and the server. LevelDB
+    // is opened by a single process, so the read-only database is
+    // a snapshot copy without the lock, it runs alongside the writer.
+    this.readOnly = false;
+    // Take the new snapshot of the read-only database, 0 - never.
+    this.refreshInterval = 0;
+    // Granularity (10m, hour, day) -> ms, 0 keeps the buckets.
+    this.retention = { ...RETENTION };
+    // Background pruning, 0 to only prune on demand.
+    this.pruneInterval = 0;
 
     this.set(options);
   }
@@ -120,6 +467,36 @@ class StatusDBOptions {
       this.memory = options.memory;
     }
 
+    if (options.dryRun != null) {
+      assert(typeof options.dryRun === 'boolean');
+      this.dryRun = options.dryRun;
+    }
+
+    if (options.readOnly != null) {
+      assert(typeof options.readOnly === 'boolean');
+      this.readOnly = options.readOnly;
+    }
+
+    if (options.retention != null) {
+      assert(typeof options.retention === 'object');
+
+      for (const [name, value] of Object.entries(options.retention)) {
+        if (value == null)
+          continue;
+
+        if (!Object.keys(RETENTION).includes(name))
+          throw new Error(`Unknown retention granularity: ${name}.`);
+
+        this.retention[name] = parseDuration(value);
+      }
+    }
+
+    if (options.pruneInterval != null)
+      this.pruneInterval = parseDuration(options.pruneInterval);
+
+    if (options.refreshInterval != null)
+      this.refreshInterval = parseDuration(options.refreshInterval);
+
     return this;
   }
 }
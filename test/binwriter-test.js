@@ -0,0 +1,227 @@
+'use strict';
+
+const assert = require('bsert');
+const os = require('node:os');
+const path = require('node:path');
+const bfs = require('bfile');
+const bufio = require('bufio');
+const NodesWriter = require('../lib/log/nodeswriter');
+const NodesReader = require('../lib/log/nodesreader');
+const DNSWriter = require('../lib/log/dnswriter');
+const DNSReader = require('../lib/log/dnsreader');
+const {truncateString, Result, DNSLogEntry} = require('../lib/log/bincommon');
+
+const PREFIX = path.join(os.tmpdir(), `nethealth-binwriter-test-${process.pid}`);
+const TIME = 1700000000000;
+
+const nodeInfo = (time, agent) => ({
+  time,
+  host: '127.0.0.1',
+  port: 12038,
+  key: '00'.repeat(33),
+  error: null,
+  result: {
+    peer: {
+      version: 3,
+      services: 1,
+      height: 100,
+      agent,
+      noRelay: false,
+      brontide: false
+    },
+    chain: {
+      pruned: false,
+      treeCompacted: true
+    }
+  },
+  frequency: 1000,
+  interval: 100
+});
+
+const dnsInfo = (time, hostname) => ({
+  time,
+  hostname,
+  error: null,
+  result: '127.0.0.1',
+  frequency: 1000,
+  interval: 100
+});
+
+describe('BinWriter', function() {
+  let writer = null;
+
+  const readAll = async (Reader, name) => {
+    const reader = new Reader({
+      prefix: PREFIX,
+      name,
+      storeIndex: false
+    });
+
+    const entries = [];
+
+    await reader.open(0);
+
+    for await (const json of reader)
+      entries.push(json);
+
+    await reader.close();
+
+    return entries;
+  };
+
+  beforeEach(async () => {
+    await bfs.rimraf(PREFIX);
+  });
+
+  afterEach(async () => {
+    if (writer && writer.ready)
+      await writer.close();
+
+    writer = null;
+
+    await bfs.rimraf(PREFIX);
+  });
+
+  describe('Strings', function() {
+    it('should truncate at the character boundary', () => {
+      assert.strictEqual(truncateString('abc', 3), 'abc');
+      assert.strictEqual(truncateString('abcd', 3), 'abc');
+      // 'é' is 2 bytes, 'ü' is 2 bytes.
+      assert.strictEqual(truncateString('aéü', 4), 'aé');
+      assert.strictEqual(truncateString('aéü', 2), 'a');
+      assert.strictEqual(truncateString('€', 2), '');
+      assert.strictEqual(truncateString('x'.repeat(300)).length, 255);
+    });
+
+    it('should encode long agent in 255 bytes', () => {
+      const agent = '/hsd:8.0.0/' + 'é'.repeat(200);
+      const result = new Result().fromJSON(nodeInfo(TIME, agent).result);
+
+      assert.strictEqual(Buffer.byteLength(result.agent, 'utf8'), 255);
+      assert(agent.startsWith(result.agent));
+
+      const data = result.encode();
+      assert.strictEqual(data.length, result.size());
+
+      const decoded = Result.decode(data);
+      assert.strictEqual(decoded.agent, result.agent);
+    });
+
+    it('should encode long hostname in 255 bytes', () => {
+      const hostname = 'ü'.repeat(200) + '.example';
+      const entry = new DNSLogEntry().fromJSON(dnsInfo(TIME, hostname));
+
+      assert.strictEqual(Buffer.byteLength(entry.hostname, 'utf8'), 254);
+
+      const bw = bufio.write(entry.size(TIME));
+      entry.write(bw, TIME);
+
+      const data = bw.render();
+      const decoded = new DNSLogEntry().read(bufio.read(data), TIME);
+
+      assert.strictEqual(decoded.hostname, entry.hostname);
+    });
+
+    it('should write and read long agents', async () => {
+      writer = new NodesWriter({ prefix: PREFIX, name: 'nodes' });
+      await writer.open();
+
+      const agent = 'a'.repeat(300);
+
+      assert(writer.writeLog(TIME, nodeInfo(TIME - 1, agent)));
+      assert(writer.writeLog(TIME + 1, nodeInfo(TIME, '/hsd/')));
+
+      await writer.close();
+
+      const entries = await readAll(NodesReader, 'nodes');
+      assert.strictEqual(entries.length, 2);
+      assert.strictEqual(entries[0].info.result.peer.agent, agent.slice(0, 255));
+      assert.strictEqual(entries[1].info.result.peer.agent, '/hsd/');
+    });
+  });
+
+  describe('Timestamps', function() {
+    it('should clamp timestamps going backwards', async () => {
+      writer = new DNSWriter({ prefix: PREFIX, name: 'dns' });
+      await writer.open();
+
+      assert(writer.writeLog(TIME, dnsInfo(TIME - 10, 'a.example')));
+      assert(writer.writeLog(TIME - 5, dnsInfo(TIME - 15, 'b.example')));
+      assert(writer.writeLog(TIME + 5, dnsInfo(TIME, 'c.example')));
+
+      await writer.close();
+
+      const entries = await readAll(DNSReader, 'dns');
+
+      assert.deepStrictEqual(entries.map(json => json.logTimestamp), [
+        TIME,
+        TIME,
+        TIME + 5
+      ]);
+
+      assert.deepStrictEqual(entries.map(json => json.info.time), [
+        TIME - 10,
+        TIME - 15,
+        TIME
+      ]);
+    });
+
+    it('should emit write with the entries as they are in the file', async () => {
+      writer = new NodesWriter({ prefix: PREFIX, name: 'nodes' });
+
+      const written = [];
+      writer.on('write', json => written.push(json));
+
+      await writer.open();
+
+      assert(writer.writeLog(TIME, nodeInfo(TIME - 10, 'a'.repeat(300))));
+      assert(writer.writeLog(TIME - 5, nodeInfo(TIME - 15, '/hsd/')));
+
+      await writer.close();
+
+      const entries = await readAll(NodesReader, 'nodes');
+
+      assert.strictEqual(written.length, 2);
+      assert.strictEqual(written[1].logTimestamp, TIME);
+      assert.strictEqual(written[0].info.result.peer.agent, 'a'.repeat(255));
+      assert.deepStrictEqual(written, entries);
+    });
+
+    it('should skip entries that can not be encoded', async () => {
+      writer = new DNSWriter({ prefix: PREFIX, name: 'dns' });
+
+      const errors = [];
+      writer.on('error', e => errors.push(e));
+
+      await writer.open();
+
+      // Does not fit in the packet.
+      const large = {
+        ...dnsInfo(TIME + 5, 'b.example'),
+        result: 'x'.repeat(0x10000)
+      };
+
+      assert(writer.writeLog(TIME, dnsInfo(TIME, 'a.example')));
+      assert(writer.writeLog(TIME + 10, large));
+      assert(writer.writeLog(TIME + 30, dnsInfo(TIME + 25, 'c.example')));
+
+      await writer.close();
+
+      assert.strictEqual(errors.length, 1);
+      assert(errors[0].message.startsWith(
+        `Could not encode the dns entry at ${TIME + 10}`));
+
+      const entries = await readAll(DNSReader, 'dns');
+
+      assert.deepStrictEqual(entries.map(json => json.logTimestamp), [
+        TIME,
+        TIME + 30
+      ]);
+
+      assert.deepStrictEqual(entries.map(json => json.info.hostname), [
+        'a.example',
+        'c.example'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+const assert = require('bsert');
+const os = require('node:os');
+const path = require('node:path');
+const zlib = require('node:zlib');
+const bfs = require('bfile');
+const codecs = require('../lib/log/codecs');
+const jsoncommon = require('../lib/log/jsoncommon');
+const bincommon = require('../lib/log/bincommon');
+const {StoreOptions} = require('../lib/log/common');
+const {compressFile} = require('../lib/log/utils');
+
+const PREFIX = path.join(os.tmpdir(), `nethealth-codecs-test-${process.pid}`);
+
+describe('Codecs', function() {
+  beforeEach(async () => {
+    await bfs.rimraf(PREFIX);
+    await bfs.mkdirp(PREFIX);
+  });
+
+  afterEach(async () => {
+    await bfs.rimraf(PREFIX);
+  });
+
+  it('should match the extensions of the codecs', () => {
+    for (const ext of codecs.extensions()) {
+      const json = `event-100.json.${ext}`;
+      const bin = `event-100.bin1.${ext}`;
+
+      assert.strictEqual(json.match(jsoncommon.FILE_REGEX).groups.ext, ext);
+      assert.strictEqual(bin.match(bincommon.FILE_REGEX).groups.ext, ext);
+    }
+
+    assert(jsoncommon.FILE_REGEX.test('event-100.json'));
+    assert(!jsoncommon.FILE_REGEX.test('event-100.json.zst'));
+    assert(!jsoncommon.FILE_REGEX.test('event-100.json.gz.tmp'));
+  });
+
+  it('should reject invalid compression level on start', () => {
+    assert.throws(() => new StoreOptions({
+      compression: codecs.BROTLI,
+      compressionLevel: 12
+    }), /Invalid brotli level: 12/);
+
+    assert.throws(() => new StoreOptions({
+      compressionLevel: 10
+    }), /Invalid gzip level: 10/);
+
+    const options = new StoreOptions({
+      compression: codecs.BROTLI,
+      compressionLevel: 11
+    });
+
+    assert.strictEqual(options.compressionLevel, 11);
+  });
+
+  it('should compress the file', async () => {
+    const file = path.join(PREFIX, 'event-100.json');
+    const data = Buffer.from('{"id":0}\n'.repeat(100));
+
+    await bfs.writeFile(file, data);
+
+    for (const name of [codecs.GZIP, codecs.BROTLI]) {
+      const codec = codecs.get(name);
+      const out = await compressFile(file, codec, codec.maxLevel);
+
+      assert.strictEqual(out, `${file}.${codec.ext}`);
+
+      const compressed = await bfs.readFile(out);
+
+      if (name === codecs.GZIP)
+        assert.bufferEqual(zlib.gunzipSync(compressed), data);
+      else
+        assert.bufferEqual(zlib.brotliDecompressSync(compressed), data);
+    }
+  });
+
+  it('should remove the temporary file on failure', async () => {
+    const file = path.join(PREFIX, 'event-100.json');
+    const codec = codecs.get(codecs.GZIP);
+
+    await assert.rejects(compressFile(file, codec), {
+      code: 'ENOENT'
+    });
+
+    assert.deepStrictEqual(await bfs.readdir(PREFIX), []);
+  });
+});
@@ -0,0 +1,114 @@
+'use strict';
+
+const assert = require('bsert');
+const EntryFilter = require('../lib/log/filter');
+
+const TIME = 1700000000000;
+
+const nodeJSON = (logTimestamp, host, options = {}) => ({
+  logTimestamp,
+  info: {
+    time: logTimestamp - 10,
+    host,
+    port: options.port || 12038,
+    error: options.error || null,
+    result: options.error ? null : {
+      peer: {
+        agent: options.agent || '/hsd:8.0.0/'
+      }
+    }
+  }
+});
+
+const dnsJSON = (logTimestamp, hostname, error = null) => ({
+  logTimestamp,
+  info: {
+    time: logTimestamp - 10,
+    hostname,
+    error,
+    result: error ? null : '127.0.0.1'
+  }
+});
+
+describe('EntryFilter', function() {
+  it('should match everything without options', () => {
+    const filter = new EntryFilter();
+
+    assert(filter.test(nodeJSON(TIME, '127.0.0.1')));
+    assert(filter.test(dnsJSON(TIME, 'seed.example')));
+    assert(!filter.isDone(TIME));
+  });
+
+  it('should include since and until', () => {
+    const filter = new EntryFilter({
+      since: TIME,
+      until: TIME + 1000
+    });
+
+    assert(!filter.test(nodeJSON(TIME - 1, '127.0.0.1')));
+    assert(filter.test(nodeJSON(TIME, '127.0.0.1')));
+    assert(filter.test(nodeJSON(TIME + 1000, '127.0.0.1')));
+    assert(!filter.test(nodeJSON(TIME + 1001, '127.0.0.1')));
+  });
+
+  it('should only be done with the files after until', () => {
+    const filter = new EntryFilter({ until: TIME });
+
+    // File containing until may still have the older entries.
+    assert(!filter.isDone(TIME - 1000));
+    assert(!filter.isDone(TIME));
+    assert(filter.isDone(TIME + 1));
+  });
+
+  it('should normalize hosts', () => {
+    const ipv6 = new EntryFilter({ host: '2001:db8::0:1' });
+
+    assert(ipv6.test(nodeJSON(TIME, '2001:0db8:0000:0000:0000:0000:0000:0001')));
+    assert(ipv6.test(nodeJSON(TIME, '2001:db8::1')));
+    assert(!ipv6.test(nodeJSON(TIME, '2001:db8::2')));
+
+    const ipv4 = new EntryFilter({ host: '127.0.0.1' });
+
+    assert(ipv4.test(nodeJSON(TIME, '::ffff:127.0.0.1')));
+    assert(!ipv4.test(nodeJSON(TIME, '127.0.0.2')));
+
+    // DNS entries have no host.
+    assert(!ipv4.test(dnsJSON(TIME, 'seed.example')));
+  });
+
+  it('should filter by port, hostname and agent', () => {
+    const port = new EntryFilter({ port: 44806 });
+
+    assert(port.test(nodeJSON(TIME, '127.0.0.1', { port: 44806 })));
+    assert(!port.test(nodeJSON(TIME, '127.0.0.1', { port: 12038 })));
+
+    const hostname = new EntryFilter({ hostname: 'seed.example' });
+
+    assert(hostname.test(dnsJSON(TIME, 'seed.example')));
+    assert(!hostname.test(dnsJSON(TIME, 'other.example')));
+
+    const agent = new EntryFilter({ agent: 'hsd:7' });
+
+    assert(agent.test(nodeJSON(TIME, '127.0.0.1', { agent: '/hsd:7.0.0/' })));
+    assert(!agent.test(nodeJSON(TIME, '127.0.0.1')));
+    assert(!agent.test(nodeJSON(TIME, '127.0.0.1', { error: 'TIMEOUT' })));
+  });
+
+  it('should filter errors and successes', () => {
+    const errors = new EntryFilter({ errorsOnly: true });
+    const successes = new EntryFilter({ successOnly: true });
+
+    const failed = dnsJSON(TIME, 'seed.example', 'ENOTFOUND');
+    const resolved = dnsJSON(TIME, 'seed.example');
+
+    assert(errors.test(failed));
+    assert(!errors.test(resolved));
+    assert(!successes.test(failed));
+    assert(successes.test(resolved));
+
+    assert.throws(() => new EntryFilter({
+      errorsOnly: true,
+      successOnly: true
+    }), /Can not filter both/);
+  });
+});
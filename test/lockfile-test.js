@@ -0,0 +1,64 @@
+'use strict';
+
+const assert = require('bsert');
+const os = require('node:os');
+const path = require('node:path');
+const bfs = require('bfile');
+const LockFile = require('../lib/log/lockfile');
+
+const PREFIX = path.join(os.tmpdir(), `nethealth-lockfile-test-${process.pid}`);
+const HOUR = 60 * 60 * 1000;
+const linux = process.platform === 'linux';
+
+describe('LockFile', function() {
+  beforeEach(async () => {
+    await bfs.rimraf(PREFIX);
+    await bfs.mkdirp(PREFIX);
+  });
+
+  afterEach(async () => {
+    await bfs.rimraf(PREFIX);
+  });
+
+  it('should report the running holder as alive', () => {
+    assert.strictEqual(LockFile.isAlive(LockFile.getInfo()), true);
+  });
+
+  it('should not check the holders on other hosts', () => {
+    assert.strictEqual(LockFile.isAlive({
+      ...LockFile.getInfo(),
+      hostname: os.hostname() + '.other'
+    }), null);
+  });
+
+  it('should report the exited holder as dead', () => {
+    // Above the pid_max of Linux.
+    assert.strictEqual(LockFile.isAlive({
+      ...LockFile.getInfo(),
+      pid: 4194305
+    }), false);
+  });
+
+  it('should report the holder with the reused pid as dead', async function() {
+    if (!linux)
+      this.skip();
+
+    const start = LockFile.getStartTime(process.pid);
+    assert(Math.abs(start - LockFile.getInfo().start) < 1000);
+
+    const info = {
+      ...LockFile.getInfo(),
+      start: LockFile.getInfo().start - HOUR
+    };
+
+    assert.strictEqual(LockFile.isAlive(info), false);
+
+    // Lock left by the process that had our pid.
+    const lock = new LockFile(bfs, PREFIX);
+    await bfs.writeFile(lock.file, LockFile.encode(info));
+
+    const state = await lock.inspect();
+    assert.deepStrictEqual(state.info, info);
+    assert.strictEqual(state.alive, false);
+  });
+});
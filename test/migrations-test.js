@@ -0,0 +1,143 @@
+'use strict';
+
+const assert = require('bsert');
+const layout = require('../lib/store/layout');
+const StatusDB = require('../lib/store/statusdb');
+const {Migrator} = require('../lib/store/migrations');
+
+const TIME = 1700000000;
+
+const BY_TIME = [
+  'STATUS_10_BY_TIME',
+  'STATUS_HOUR_BY_TIME',
+  'STATUS_DAY_BY_TIME'
+];
+
+const BY_HOST = [
+  'STATUS_10_BY_HOST',
+  'STATUS_HOUR_BY_HOST',
+  'STATUS_DAY_BY_HOST'
+];
+
+const buckets = [layout.dns, layout.nodes];
+const host = Buffer.from('seed.example');
+
+const bucketKey = (bucket, key) => {
+  return Buffer.concat([bucket.prefix.encode(), key]);
+};
+
+describe('Migrations', function() {
+  let sdb = null;
+
+  // Database of version 1 with the *_BY_TIME indexes.
+  const writeV1 = async () => {
+    const batch = sdb.db.batch();
+
+    for (const bucket of buckets) {
+      for (let i = 0; i < 2; i++) {
+        for (const name of BY_TIME)
+          batch.put(bucketKey(bucket, bucket[name].encode(TIME + i, host)),
+            Buffer.alloc(1));
+
+        for (const name of BY_HOST)
+          batch.put(bucketKey(bucket, bucket[name].encode(host, TIME + i)),
+            Buffer.alloc(1));
+      }
+
+      batch.put(bucketKey(bucket, bucket.LAST_TIMESTAMP.encode()),
+        Buffer.alloc(8));
+    }
+
+    sdb.migrator.writeVersion(batch, 1);
+    await batch.write();
+  };
+
+  const countKeys = async (bucket, family) => {
+    const prefix = bucket.prefix.encode();
+    const id = family.id[0];
+
+    const keys = await sdb.db.bucket(prefix).keys({
+      gte: Buffer.from([id]),
+      lt: Buffer.from([id + 1])
+    });
+
+    return keys.length;
+  };
+
+  beforeEach(async () => {
+    sdb = new StatusDB({ memory: true });
+    await sdb.open();
+    await writeV1();
+  });
+
+  afterEach(async () => {
+    await sdb.close();
+    sdb = null;
+  });
+
+  it('should write the latest version to the new database', async () => {
+    const db = new StatusDB({ memory: true });
+    await db.open();
+
+    assert.strictEqual(await db.migrator.getVersion(), db.version);
+
+    await db.close();
+  });
+
+  it('should drop the *_BY_TIME indexes', async () => {
+    const migrator = new Migrator(sdb);
+    const counts = [];
+
+    assert.strictEqual(await migrator.getVersion(), 1);
+
+    migrator.on('migrated', (migration, count) => {
+      counts.push([migration.id, count]);
+    });
+
+    const migrated = await migrator.migrate();
+
+    assert.deepStrictEqual(migrated.map(m => m.id), [2]);
+    assert.deepStrictEqual(counts, [[2, 12]]);
+    assert.strictEqual(await migrator.getVersion(), 2);
+
+    for (const bucket of buckets) {
+      for (const name of BY_TIME)
+        assert.strictEqual(await countKeys(bucket, bucket[name]), 0);
+
+      for (const name of BY_HOST)
+        assert.strictEqual(await countKeys(bucket, bucket[name]), 2);
+
+      assert.strictEqual(await countKeys(bucket, bucket.LAST_TIMESTAMP), 1);
+    }
+
+    // Nothing left to migrate.
+    assert.deepStrictEqual(await migrator.migrate(), []);
+  });
+
+  it('should only count the changes on dry run', async () => {
+    const migrator = new Migrator(sdb, { dryRun: true });
+    const counts = [];
+
+    migrator.on('migrated', (migration, count) => counts.push(count));
+
+    await migrator.migrate();
+
+    assert.deepStrictEqual(counts, [12]);
+    assert.strictEqual(await migrator.getVersion(), 1);
+
+    for (const bucket of buckets) {
+      for (const name of BY_TIME)
+        assert.strictEqual(await countKeys(bucket, bucket[name]), 2);
+    }
+  });
+
+  it('should reject the newer database', async () => {
+    const batch = sdb.db.batch();
+    sdb.migrator.writeVersion(batch, 100);
+    await batch.write();
+
+    await assert.rejects(new Migrator(sdb).migrate(), {
+      message: /newer than supported/
+    });
+  });
+});
@@ -0,0 +1,192 @@
+'use strict';
+
+const assert = require('bsert');
+const os = require('node:os');
+const path = require('node:path');
+const bfs = require('bfile');
+const layout = require('../lib/store/layout');
+const StatusDB = require('../lib/store/statusdb');
+const Reindex = require('../lib/store/reindex');
+const {TimestampRecord} = require('../lib/store/records');
+
+const PREFIX = path.join(os.tmpdir(), `nethealth-reindex-test-${process.pid}`);
+const TIME = 1700000000000;
+
+const host = Buffer.from('seed.example');
+const hostport = Buffer.from('127.0.0.1:12038');
+
+const key = (bucket, family, ...args) => {
+  return Buffer.concat([
+    bucket.prefix.encode(),
+    bucket[family].encode(...args)
+  ]);
+};
+
+const cursor = (bucket, timestamp) => {
+  return [
+    key(bucket, 'LAST_TIMESTAMP'),
+    new TimestampRecord(timestamp).encode()
+  ];
+};
+
+const {dns, nodes} = layout;
+
+// Indexed before the rebuild.
+const currentKeys = [
+  cursor(dns, TIME),
+  [key(dns, 'STATUS_HOUR_BY_HOST', host, 1), Buffer.from('current')],
+  [key(dns, 'STATUS_DAY_BY_HOST', host, 1), Buffer.from('current')],
+  cursor(nodes, TIME),
+  [key(nodes, 'STATUS_HOUR_BY_HOST', hostport, 1), Buffer.from('current')]
+];
+
+// Rebuilt by the reindex, indexers write all families.
+const freshKeys = [
+  cursor(dns, TIME - 1000),
+  [key(dns, 'STATUS_HOUR_BY_HOST', host, 1), Buffer.from('fresh')],
+  [key(dns, 'STATUS_HOUR_BY_HOST', host, 2), Buffer.from('fresh')],
+  [key(dns, 'STATUS_DAY_BY_HOST', host, 3), Buffer.from('fresh')]
+];
+
+describe('Reindex', function() {
+  let reindex = null;
+
+  const writeKeys = async (db, keys) => {
+    const batch = db.batch();
+
+    for (const [key, value] of keys)
+      batch.put(key, value);
+
+    await batch.write();
+  };
+
+  // Keys of the indexers, without the version.
+  const readKeys = async () => {
+    const sdb = new StatusDB({ prefix: PREFIX });
+    await sdb.open();
+
+    const keys = await sdb.db.range({
+      gte: dns.prefix.encode(),
+      lt: Buffer.from([nodes.prefix.id[0] + 1])
+    });
+
+    await sdb.close();
+
+    return keys.map(({key, value}) => [key, value]);
+  };
+
+  const rebuild = async (options) => {
+    reindex = new Reindex({ prefix: PREFIX, ...options });
+
+    await reindex.open();
+    await writeKeys(reindex.fresh.db, freshKeys);
+  };
+
+  beforeEach(async () => {
+    await bfs.rimraf(PREFIX);
+
+    const sdb = new StatusDB({ prefix: PREFIX });
+    await sdb.open();
+    await writeKeys(sdb.db, currentKeys);
+    await sdb.close();
+  });
+
+  afterEach(async () => {
+    if (reindex && reindex.fresh.db.loaded)
+      await reindex.close();
+
+    reindex = null;
+
+    await bfs.rimraf(PREFIX);
+  });
+
+  it('should reject unknown indexers and families', () => {
+    assert.throws(() => new Reindex({
+      prefix: PREFIX,
+      indexers: ['peers']
+    }), /Unknown indexer: peers/);
+
+    assert.throws(() => new Reindex({
+      prefix: PREFIX,
+      families: ['PORT_MAPPINGS']
+    }), /Unknown dns key family: PORT_MAPPINGS/);
+
+    assert.throws(() => new Reindex({
+      prefix: PREFIX,
+      families: ['LAST_TIMESTAMP']
+    }), /Can not rebuild LAST_TIMESTAMP separately/);
+  });
+
+  it('should replace the rebuilt indexer', async () => {
+    await rebuild({ indexers: ['dns'] });
+
+    const cursors = [];
+    await reindex.swap(async current => cursors.push(current));
+
+    assert.deepStrictEqual(cursors, [{ dns: TIME + 1 }]);
+
+    // Nodes were not rebuilt.
+    assert.deepStrictEqual(await readKeys(), [
+      ...freshKeys,
+      ...currentKeys.slice(3)
+    ]);
+
+    assert(!await bfs.exists(reindex.fresh.options.location));
+    assert(!await bfs.exists(reindex.oldLocation));
+
+    await reindex.close();
+  });
+
+  it('should only replace the rebuilt families', async () => {
+    await rebuild({
+      indexers: ['dns'],
+      families: ['STATUS_HOUR_BY_HOST']
+    });
+
+    assert.deepStrictEqual(await reindex.getCursors(), { dns: TIME + 1 });
+
+    await reindex.swap();
+
+    assert.deepStrictEqual(await readKeys(), [
+      // Cursor and the other families are from the current database.
+      currentKeys[0],
+      freshKeys[1],
+      freshKeys[2],
+      currentKeys[2],
+      ...currentKeys.slice(3)
+    ]);
+
+    await reindex.close();
+  });
+
+  it('should not swap while the writer uses the database', async () => {
+    await rebuild({ indexers: ['dns'] });
+
+    const writer = new StatusDB({ prefix: PREFIX });
+    await writer.open();
+
+    try {
+      await assert.rejects(reindex.swap(), {
+        message: /^StatusDB is used by .* stop the writers before the swap\.$/
+      });
+    } finally {
+      await writer.close();
+    }
+
+    assert.deepStrictEqual(await readKeys(), currentKeys);
+  });
+
+  it('should recover the interrupted swap', async () => {
+    const {location} = new StatusDB({ prefix: PREFIX }).options;
+
+    // Interrupted between the renames.
+    await bfs.rename(location, location + '.old');
+
+    reindex = new Reindex({ prefix: PREFIX });
+    await reindex.open();
+    await reindex.close();
+
+    assert(!await bfs.exists(location + '.old'));
+    assert.deepStrictEqual(await readKeys(), currentKeys);
+  });
+});
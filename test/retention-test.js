@@ -0,0 +1,158 @@
+'use strict';
+
+const assert = require('bsert');
+const os = require('node:os');
+const path = require('node:path');
+const bfs = require('bfile');
+const {fileOptions} = require('../lib/log/jsoncommon');
+const {getStoreFiles} = require('../lib/log/common');
+const retention = require('../lib/log/retention');
+
+const {RetentionOptions} = retention;
+
+const PREFIX = path.join(os.tmpdir(), `nethealth-retention-test-${process.pid}`);
+const TIME = 1700000000000;
+const HOUR = 60 * 60 * 1000;
+
+// Hourly files of 100 bytes.
+const storeFiles = (count) => {
+  const files = [];
+
+  for (let i = 0; i < count; i++) {
+    const time = TIME + i * HOUR;
+
+    files.push({
+      filename: `event-${time}.json`,
+      time,
+      size: 100
+    });
+  }
+
+  return files;
+};
+
+const expired = (files, options, now) => {
+  const result = retention.getExpiredFiles(files,
+    new RetentionOptions(options), now);
+
+  return result.map(file => files.indexOf(file));
+};
+
+describe('Retention', function() {
+  describe('Expired files', function() {
+    it('should not expire anything without limits', () => {
+      const files = storeFiles(5);
+
+      assert.deepStrictEqual(expired(files, {}, TIME + 100 * HOUR), []);
+    });
+
+    it('should expire files once the next file is older than max age', () => {
+      const files = storeFiles(5);
+      const maxAge = 2 * HOUR;
+
+      // File 0 has entries until file 1 starts.
+      assert.deepStrictEqual(expired(files, { maxAge }, TIME + 3 * HOUR - 1),
+        []);
+      assert.deepStrictEqual(expired(files, { maxAge }, TIME + 3 * HOUR),
+        [0]);
+      assert.deepStrictEqual(expired(files, { maxAge }, TIME + 5 * HOUR),
+        [0, 1, 2]);
+    });
+
+    it('should never expire the last file', () => {
+      const files = storeFiles(3);
+
+      assert.deepStrictEqual(expired(files, {
+        maxAge: HOUR
+      }, TIME + 100 * HOUR), [0, 1]);
+
+      assert.deepStrictEqual(expired(files, { maxSize: 1 }, TIME), [0, 1]);
+      assert.deepStrictEqual(expired(storeFiles(1), { maxSize: 1 }, TIME), []);
+    });
+
+    it('should expire the oldest files over max size', () => {
+      const files = storeFiles(5);
+
+      assert.deepStrictEqual(expired(files, { maxSize: 500 }, TIME), []);
+      assert.deepStrictEqual(expired(files, { maxSize: 499 }, TIME), [0]);
+      assert.deepStrictEqual(expired(files, { maxSize: 250 }, TIME), [0, 1, 2]);
+    });
+
+    it('should not expire the files that were not indexed', () => {
+      const files = storeFiles(5);
+      const now = TIME + 100 * HOUR;
+
+      // -1 - indexer is not used.
+      assert.deepStrictEqual(expired(files, {
+        maxAge: HOUR,
+        indexedTimestamp: -1
+      }, now), [0, 1, 2, 3]);
+
+      assert.deepStrictEqual(expired(files, {
+        maxAge: HOUR,
+        indexedTimestamp: 0
+      }, now), []);
+
+      // Indexed to the middle of file 2.
+      assert.deepStrictEqual(expired(files, {
+        maxAge: HOUR,
+        indexedTimestamp: TIME + 2 * HOUR + 10
+      }, now), [0, 1]);
+
+      assert.deepStrictEqual(expired(files, {
+        maxSize: 100,
+        indexedTimestamp: TIME + HOUR
+      }, now), [0]);
+    });
+  });
+
+  describe('Prune', function() {
+    const prefix = path.join(PREFIX, 'events');
+    const archive = path.join(PREFIX, 'archive');
+
+    beforeEach(async () => {
+      await bfs.rimraf(PREFIX);
+      await bfs.mkdirp(prefix);
+
+      for (const file of storeFiles(4))
+        await bfs.writeFile(path.join(prefix, file.filename), 'x'.repeat(100));
+    });
+
+    afterEach(async () => {
+      await bfs.rimraf(PREFIX);
+    });
+
+    it('should remove the expired files', async () => {
+      const pruned = await retention.pruneStore(prefix, fileOptions, {
+        maxSize: 200
+      });
+
+      assert.deepStrictEqual(pruned.map(file => file.time), [
+        TIME,
+        TIME + HOUR
+      ]);
+
+      const files = await getStoreFiles(prefix, fileOptions);
+
+      assert.deepStrictEqual(files.map(file => file.time), [
+        TIME + 2 * HOUR,
+        TIME + 3 * HOUR
+      ]);
+    });
+
+    it('should move the expired files to the archive', async () => {
+      const pruned = await retention.pruneStore(prefix, fileOptions, {
+        maxSize: 300,
+        archive
+      });
+
+      assert.strictEqual(pruned.length, 1);
+      assert.deepStrictEqual(await bfs.readdir(path.join(archive, 'events')), [
+        pruned[0].filename
+      ]);
+
+      const files = await getStoreFiles(prefix, fileOptions);
+      assert.strictEqual(files.length, 3);
+    });
+  });
+});
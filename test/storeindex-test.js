@@ -0,0 +1,223 @@
+'use strict';
+
+const assert = require('bsert');
+const os = require('node:os');
+const path = require('node:path');
+const bfs = require('bfile');
+const codecs = require('../lib/log/codecs');
+const JSONWriter = require('../lib/log/jsonwriter');
+const JSONReader = require('../lib/log/jsonreader');
+const NodesWriter = require('../lib/log/nodeswriter');
+const NodesReader = require('../lib/log/nodesreader');
+const {StoreIndex} = require('../lib/log/storeindex');
+const {getStoreFiles} = require('../lib/log/common');
+const {compressFile} = require('../lib/log/utils');
+
+const PREFIX = path.join(os.tmpdir(), `nethealth-storeindex-test-${process.pid}`);
+const NAME = 'nodes';
+const TIME = 1700000000000;
+const FILES = 4;
+const ENTRIES = 100;
+
+const nodeInfo = (time, i) => ({
+  time,
+  host: '127.0.0.1',
+  port: 12038,
+  key: '00'.repeat(33),
+  // Error table of the file is restored from the index.
+  error: i % 3 === 0 ? `error ${i % 7}` : null,
+  result: i % 3 === 0 ? null : {
+    peer: {
+      version: 3,
+      services: 1,
+      height: i,
+      agent: '/hsd:8.0.0/',
+      noRelay: false,
+      brontide: false
+    },
+    chain: {
+      pruned: false,
+      treeCompacted: true
+    }
+  },
+  frequency: 1000,
+  // Config packets in the middle of the file.
+  interval: 100 + Math.floor(i / 40)
+});
+
+const stores = {
+  json: {
+    Writer: JSONWriter,
+    Reader: JSONReader
+  },
+  bin1: {
+    Writer: NodesWriter,
+    Reader: NodesReader
+  }
+};
+
+for (const [format, {Writer, Reader}] of Object.entries(stores)) {
+  describe(`StoreIndex (${format})`, function() {
+    const prefix = path.join(PREFIX, NAME);
+
+    const readerOptions = {
+      prefix: PREFIX,
+      name: NAME,
+      tolerant: false
+    };
+
+    // Every session of the writer starts the new file.
+    const writeFiles = async () => {
+      for (let f = 0; f < FILES; f++) {
+        const writer = new Writer({
+          prefix: PREFIX,
+          name: NAME,
+          autoGzip: false,
+          storeIndex: false
+        });
+
+        await writer.open();
+        await writer.openFile(TIME + f * ENTRIES * 1000);
+
+        for (let i = 0; i < ENTRIES; i++) {
+          const ts = TIME + (f * ENTRIES + i) * 1000;
+          writer.writeLog(ts, nodeInfo(ts - 10, i));
+        }
+
+        await writer.close();
+      }
+    };
+
+    const readFrom = async (startTS, storeIndex) => {
+      const reader = new Reader({ ...readerOptions, storeIndex });
+      const seeks = [];
+
+      reader.on('seek', (file, offset) => seeks.push([file, offset]));
+
+      const entries = [];
+
+      await reader.open(startTS);
+
+      for await (const json of reader)
+        entries.push(json);
+
+      await reader.close();
+
+      return {entries, seeks};
+    };
+
+    const update = async () => {
+      const {fileOptions} = new Reader(readerOptions);
+      const index = new StoreIndex(prefix, fileOptions);
+
+      // Multiple checkpoints per file.
+      index.checkpointInterval = 512;
+
+      await index.load();
+
+      const indexed = await index.update(() => {
+        return new Reader({ ...readerOptions, storeIndex: false });
+      });
+
+      return {index, indexed};
+    };
+
+    beforeEach(async () => {
+      await bfs.rimraf(PREFIX);
+      await writeFiles();
+    });
+
+    afterEach(async () => {
+      await bfs.rimraf(PREFIX);
+    });
+
+    it('should index all files but the active one', async () => {
+      const {index, indexed} = await update();
+      const files = await getStoreFiles(prefix, index.fileOptions);
+
+      assert.strictEqual(files.length, FILES);
+      assert.strictEqual(indexed, FILES - 1);
+
+      for (const [i, file] of files.entries()) {
+        const fileIndex = index.get(file);
+
+        if (i === FILES - 1) {
+          assert.strictEqual(fileIndex, null);
+          continue;
+        }
+
+        assert.strictEqual(fileIndex.count, ENTRIES);
+        assert.strictEqual(fileIndex.first, file.time);
+        assert.strictEqual(fileIndex.size, file.size);
+        assert(fileIndex.checkpoints.length > 1);
+      }
+
+      // Up to date files are not indexed again.
+      const again = await update();
+      assert.strictEqual(again.indexed, 0);
+    });
+
+    it('should seek to the same entries as the full scan', async () => {
+      await update();
+
+      // Start timestamp and whether the reader skips the part of the file.
+      const starts = [
+        [TIME, false],
+        [TIME + 57 * 1000, true],
+        [TIME + (ENTRIES + 33) * 1000, true],
+        [TIME + (2 * ENTRIES + 99) * 1000, true],
+        // Active file is not indexed.
+        [TIME + (3 * ENTRIES + 50) * 1000, false]
+      ];
+
+      for (const [startTS, skips] of starts) {
+        const scan = await readFrom(startTS, false);
+        const seek = await readFrom(startTS, true);
+
+        assert.strictEqual(scan.seeks.length, 0);
+        assert.deepStrictEqual(seek.entries, scan.entries);
+        assert.strictEqual(scan.entries[0].logTimestamp, startTS);
+
+        const offset = seek.seeks.length > 0 ? seek.seeks[0][1] : 0;
+        assert.strictEqual(offset > 0, skips);
+      }
+    });
+
+    it('should seek in the compressed files', async () => {
+      const {index} = await update();
+      const files = await getStoreFiles(prefix, index.fileOptions);
+      const codec = codecs.get(codecs.BROTLI);
+
+      await compressFile(files[1].path, codec);
+      await bfs.remove(files[1].path);
+
+      const startTS = TIME + (ENTRIES + 70) * 1000;
+      const scan = await readFrom(startTS, false);
+      const seek = await readFrom(startTS, true);
+
+      assert.strictEqual(seek.seeks.length, 1);
+      assert(seek.seeks[0][0].endsWith('.' + codec.ext));
+      assert.deepStrictEqual(seek.entries, scan.entries);
+      assert.strictEqual(seek.entries.length, 2 * ENTRIES + 30);
+    });
+
+    it('should not seek with the outdated index', async function() {
+      // Binary file of another session would start with the header.
+      if (format !== 'json')
+        this.skip();
+
+      const {index} = await update();
+      const files = await getStoreFiles(prefix, index.fileOptions);
+
+      // Appended after indexing, e.g. by the writer restarted
+      // before the rotation.
+      await bfs.appendFile(files[0].path, await bfs.readFile(files[3].path));
+
+      assert.strictEqual(index.get((await getStoreFiles(prefix,
+        index.fileOptions))[0]), null);
+
+      const seek = await readFrom(TIME + 50 * 1000, true);
+      assert.strictEqual(seek.seeks.length, 0);
+    });
+  });
+}
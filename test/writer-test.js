@@ -0,0 +1,414 @@
+'use strict';
+
+const assert = require('bsert');
+const os = require('node:os');
+const path = require('node:path');
+const bfs = require('bfile');
+const JSONWriter = require('../lib/log/jsonwriter');
+const JSONReader = require('../lib/log/jsonreader');
+
+const PREFIX = path.join(os.tmpdir(), `nethealth-writer-test-${process.pid}`);
+const NAME = 'dns';
+const TIME = 1700000000000;
+
+const createWriter = (options = {}) => {
+  return new JSONWriter({
+    prefix: PREFIX,
+    name: NAME,
+    autoGzip: false,
+    storeIndex: false,
+    retryInterval: 10,
+    maxRetryInterval: 40,
+    ...options
+  });
+};
+
+const waitFor = async (emitter, event) => {
+  return new Promise(resolve => emitter.once(event, (...args) => {
+    resolve(args);
+  }));
+};
+
+const readAll = async () => {
+  const reader = new JSONReader({
+    prefix: PREFIX,
+    name: NAME,
+    storeIndex: false
+  });
+
+  const entries = [];
+
+  await reader.open(0);
+
+  for await (const json of reader)
+    entries.push(json);
+
+  await reader.close();
+
+  return entries;
+};
+
+describe('Writer overflow', function() {
+  let writer = null;
+
+  beforeEach(async () => {
+    await bfs.rimraf(PREFIX);
+  });
+
+  afterEach(async () => {
+    if (writer && writer.ready)
+      await writer.close();
+
+    writer = null;
+
+    await bfs.rimraf(PREFIX);
+  });
+
+  it('should drop the oldest entries', async () => {
+    writer = createWriter({ maxBufferEntries: 2 });
+
+    const dropped = [];
+    writer.on('drop', ts => dropped.push(ts));
+
+    await writer.open();
+
+    // Buffered until the file is open.
+    for (let i = 0; i < 4; i++)
+      assert.strictEqual(writer.writeLog(TIME + i, {id: i}), true);
+
+    assert.strictEqual(writer._buffer.length, 2);
+    assert.deepStrictEqual(dropped, [TIME, TIME + 1]);
+
+    await writer.drain();
+    await writer.close();
+
+    const entries = await readAll();
+    assert.deepStrictEqual(entries.map(json => json.info.id), [2, 3]);
+  });
+
+  it('should drop the newest entries', async () => {
+    writer = createWriter({ maxBufferEntries: 2, overflow: 'drop-newest' });
+
+    await writer.open();
+
+    assert.strictEqual(writer.writeLog(TIME, {id: 0}), true);
+    assert.strictEqual(writer.writeLog(TIME + 1, {id: 1}), true);
+    assert.strictEqual(writer.writeLog(TIME + 2, {id: 2}), false);
+    assert.strictEqual(writer.dropped, 1);
+
+    await writer.drain();
+    await writer.close();
+
+    const entries = await readAll();
+    assert.deepStrictEqual(entries.map(json => json.info.id), [0, 1]);
+  });
+
+  it('should block writes until the buffer drains', async () => {
+    writer = createWriter({ maxBufferEntries: 2, overflow: 'block' });
+
+    await writer.open();
+
+    assert.strictEqual(writer.writeLog(TIME, {id: 0}), true);
+    assert.strictEqual(writer.writeLog(TIME + 1, {id: 1}), true);
+
+    const blocked = [];
+
+    for (let i = 2; i < 5; i++)
+      blocked.push(writer.writeLog(TIME + i, {id: i}));
+
+    for (const promise of blocked)
+      assert(promise instanceof Promise);
+
+    // Never grows past the limit.
+    assert.strictEqual(writer._buffer.length, 2);
+
+    assert.deepStrictEqual(await Promise.all(blocked), [true, true, true]);
+    assert.strictEqual(writer.dropped, 0);
+
+    await writer.close();
+
+    const entries = await readAll();
+    assert.deepStrictEqual(entries.map(json => json.info.id), [0, 1, 2, 3, 4]);
+  });
+});
+
+describe('Writer retry', function() {
+  const createWriteStream = bfs.createWriteStream;
+  const timers = global.setTimeout;
+
+  // Number of the next opens to fail.
+  let failures = 0;
+  let opens = 0;
+  let delays = [];
+  let writer = null;
+
+  beforeEach(async () => {
+    await bfs.rimraf(PREFIX);
+
+    failures = 0;
+    opens = 0;
+    delays = [];
+
+    bfs.createWriteStream = (file, options) => {
+      opens++;
+
+      if (failures > 0) {
+        failures--;
+        file = path.join(PREFIX, 'missing', path.basename(file));
+      }
+
+      return createWriteStream(file, options);
+    };
+
+    global.setTimeout = (fn, delay, ...args) => {
+      delays.push(delay);
+      return timers(fn, delay, ...args);
+    };
+  });
+
+  afterEach(async () => {
+    bfs.createWriteStream = createWriteStream;
+    global.setTimeout = timers;
+
+    if (writer && writer.ready)
+      await writer.close();
+
+    writer = null;
+
+    await bfs.rimraf(PREFIX);
+  });
+
+  it('should retry with exponential backoff', async () => {
+    writer = createWriter();
+
+    const errors = [];
+    writer.on('error', e => errors.push(e));
+
+    await writer.open();
+
+    failures = 5;
+
+    const recovered = waitFor(writer, 'recovered');
+    assert.strictEqual(writer.writeLog(TIME, {id: 0}), true);
+
+    const [retries] = await recovered;
+
+    assert.strictEqual(retries, 5);
+    assert.strictEqual(writer.retries, 0);
+    assert.strictEqual(errors.length, 5);
+    assert.strictEqual(opens, 6);
+    assert.deepStrictEqual(delays, [10, 20, 40, 40, 40]);
+  });
+
+  it('should keep original timestamps of the pending entries', async () => {
+    writer = createWriter();
+    writer.on('error', () => {});
+
+    await writer.open();
+
+    failures = 2;
+
+    const recovered = waitFor(writer, 'recovered');
+
+    for (let i = 0; i < 10; i++)
+      assert.strictEqual(writer.writeLog(TIME + i * 1000, {id: i}), true);
+
+    assert.strictEqual(writer._buffer.length, 10);
+
+    await recovered;
+    await writer.close();
+
+    const files = await writer.getFiles();
+    assert.strictEqual(files.length, 1);
+    assert.strictEqual(files[0].time, TIME);
+
+    const entries = await readAll();
+    assert.strictEqual(entries.length, 10);
+
+    for (const [i, json] of entries.entries()) {
+      assert.strictEqual(json.logTimestamp, TIME + i * 1000);
+      assert.deepStrictEqual(json.info, {id: i});
+    }
+  });
+
+  it('should emit write only for the entries in the file', async () => {
+    writer = createWriter({ maxBufferEntries: 2 });
+    writer.on('error', () => {});
+
+    const written = [];
+    writer.on('write', json => written.push(json));
+
+    await writer.open();
+
+    failures = 1;
+
+    const recovered = waitFor(writer, 'recovered');
+
+    for (let i = 0; i < 4; i++)
+      writer.writeLog(TIME + i, {id: i});
+
+    // Buffered entries are not written yet.
+    assert.deepStrictEqual(written, []);
+    assert.strictEqual(writer.dropped, 2);
+
+    await recovered;
+
+    assert.deepStrictEqual(written, [
+      { logTimestamp: TIME + 2, info: {id: 2} },
+      { logTimestamp: TIME + 3, info: {id: 3} }
+    ]);
+
+    writer.writeLog(TIME + 4, {id: 4});
+    assert.strictEqual(written.length, 3);
+  });
+
+  it('should block writes while the buffer is full', async () => {
+    writer = createWriter({ maxBufferEntries: 2, overflow: 'block' });
+    writer.on('error', () => {});
+
+    await writer.open();
+
+    failures = 1;
+
+    const recovered = waitFor(writer, 'recovered');
+
+    assert.strictEqual(writer.writeLog(TIME, {id: 0}), true);
+    assert.strictEqual(writer.writeLog(TIME + 1, {id: 1}), true);
+
+    const blocked = [];
+
+    for (let i = 2; i < 5; i++)
+      blocked.push(writer.writeLog(TIME + i, {id: i}));
+
+    for (const promise of blocked)
+      assert(promise instanceof Promise);
+
+    assert.strictEqual(writer._buffer.length, 2);
+    assert.strictEqual(writer.dropped, 0);
+
+    await recovered;
+
+    assert.deepStrictEqual(await Promise.all(blocked), [true, true, true]);
+
+    await writer.close();
+
+    const entries = await readAll();
+    assert.deepStrictEqual(entries.map(json => json.info.id), [0, 1, 2, 3, 4]);
+  });
+
+  it('should resolve blocked writes once the writer gives up', async () => {
+    writer = createWriter({
+      maxBufferEntries: 1,
+      overflow: 'block',
+      retryInterval: 60000
+    });
+
+    const errors = [];
+    writer.on('error', e => errors.push(e));
+
+    await writer.open();
+
+    failures = Infinity;
+
+    assert.strictEqual(writer.writeLog(TIME, {id: 0}), true);
+
+    const blocked = writer.writeLog(TIME + 1, {id: 1});
+
+    while (errors.length === 0)
+      await new Promise(resolve => timers(resolve, 10));
+
+    await writer.close();
+
+    assert.strictEqual(await blocked, false);
+    assert.strictEqual(writer.failed, true);
+  });
+
+  it('should fail after max retries', async () => {
+    writer = createWriter({ maxRetries: 3 });
+
+    const errors = [];
+    const drops = [];
+
+    writer.on('error', e => errors.push(e));
+    writer.on('drop', ts => drops.push(ts));
+
+    await writer.open();
+
+    failures = Infinity;
+
+    writer.writeLog(TIME, {id: 0});
+    writer.writeLog(TIME + 1, {id: 1});
+
+    while (!writer.failed)
+      await new Promise(resolve => timers(resolve, 10));
+
+    assert.strictEqual(opens, 4);
+    assert.strictEqual(errors.length, 4);
+    assert.strictEqual(writer.retries, 3);
+    assert.deepStrictEqual(drops, [TIME, TIME + 1]);
+    assert.strictEqual(writer._buffer.length, 0);
+    assert(errors[3].message.startsWith(
+      'Could not recover the dns store after 3 retries'));
+
+    // Following entries are not accepted.
+    assert.strictEqual(writer.writeLog(TIME + 2, {id: 2}), false);
+    assert.strictEqual(opens, 4);
+  });
+
+  it('should flush pending entries on close while recovering', async () => {
+    writer = createWriter({ retryInterval: 60000 });
+    writer.on('error', () => {});
+
+    await writer.open();
+
+    failures = 1;
+
+    const error = waitFor(writer, 'error');
+
+    writer.writeLog(TIME, {id: 0});
+    writer.writeLog(TIME + 1, {id: 1});
+
+    await error;
+    assert(writer.retryTimer != null);
+
+    const recovered = waitFor(writer, 'recovered');
+    await writer.close();
+
+    assert.deepStrictEqual(await recovered, [1]);
+    assert.strictEqual(writer.retryTimer, null);
+
+    const entries = await readAll();
+    assert.deepStrictEqual(entries.map(json => json.info), [
+      {id: 0},
+      {id: 1}
+    ]);
+  });
+
+  it('should report pending entries dropped on close', async () => {
+    writer = createWriter({ retryInterval: 60000 });
+
+    const errors = [];
+    const drops = [];
+
+    writer.on('error', e => errors.push(e));
+    writer.on('drop', ts => drops.push(ts));
+
+    await writer.open();
+
+    failures = Infinity;
+
+    writer.writeLog(TIME, {id: 0});
+    writer.writeLog(TIME + 1, {id: 1});
+
+    while (errors.length === 0)
+      await new Promise(resolve => timers(resolve, 10));
+
+    await writer.close();
+
+    assert.strictEqual(writer.failed, true);
+    assert.strictEqual(writer.retryTimer, null);
+    assert.strictEqual(errors.length, 2);
+    assert.deepStrictEqual(drops, [TIME, TIME + 1]);
+    assert.deepStrictEqual(await readAll(), []);
+  });
+});